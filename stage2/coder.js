@@ -1,17 +1,83 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
+const http = require('http');
 const https = require('https');
-const { exec } = require('child_process');
+const { exec, execFile, execFileSync, spawn } = require('child_process');
 const { URL } = require('url');
 const readline = require('readline');
 const debug = require('debug')('ai-coder');
+const { createSSEParser, createNDJSONParser } = require('./stream-parsers');
+const { createMarkdownRenderer } = require('./markdown-renderer');
 
 // Default configurations
-let API_KEY = process.env.OPENROUTER_API_KEY || '';
-let API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-let MODEL = 'anthropic/claude-3.5-sonnet';
+const DEFAULT_CONFIG = {
+  apiKey: '',
+  apiUrl: 'https://openrouter.ai/api/v1/chat/completions',
+  provider: 'auto',
+  model: 'anthropic/claude-3.5-sonnet',
+  editFormat: 'search-replace',
+  files: [],
+  read: [],
+  review: false,
+  mapTokens: 1024,
+  contextLimit: 0,
+  maxOutputTokens: 0,
+  retries: 3,
+  timeout: 600,
+  idleTimeout: 60,
+  testCommand: '',
+  fixAttempts: 3,
+  commitStyle: 'short',
+  commitTemplate: '{summary}\n\n{body}',
+  commitIncludePrompt: true,
+  commitTrailer: 'Generated-by: ai-coder',
+  autoCommit: true,
+  git: true,
+  markdown: true,
+  agent: false,
+  protectedPaths: [],
+  autoConfirm: false,
+  runTimeout: 300,
+  prices: {},
+  sessionBudget: 0,
+  projectBudget: 0,
+  trustedProjects: []
+};
+
+// Environment variables providing settings, first one set wins
+const ENV_CONFIG = {
+  apiKey: ['AI_CODER_API_KEY', 'OPENROUTER_API_KEY'],
+  apiUrl: ['AI_CODER_API_URL'],
+  provider: ['AI_CODER_PROVIDER'],
+  model: ['AI_CODER_MODEL'],
+  editFormat: ['AI_CODER_EDIT_FORMAT'],
+  testCommand: ['AI_CODER_TEST_COMMAND'],
+  commitStyle: ['AI_CODER_COMMIT_STYLE'],
+  commitTemplate: ['AI_CODER_COMMIT_TEMPLATE']
+};
+
+// Config files, project settings override user settings
+const USER_CONFIG_FILE = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'ai-coder', 'config.json');
+const PROJECT_CONFIG_FILE = '.ai-coder.json';
+
+// Settings project config may only change in projects listed in trustedProjects of
+// user config. A cloned repository could otherwise send the API key to its own
+// server, run commands as tests or skip confirmations.
+const TRUSTED_PROJECT_SETTINGS = ['apiKey', 'apiUrl', 'testCommand', 'autoConfirm', 'trustedProjects'];
+
+// Settings given as command line flags
+const cliConfig = {};
+let RESUME = false;
+let BRANCH = null;
+let WORKTREE = false;
+let JSON_OUTPUT = false;
+
+// Commands which don't talk to the LLM
+const LOCAL_COMMANDS = ['undo', 'config'];
 
 // Parse command line arguments
 let args = process.argv.slice(2);
@@ -21,6 +87,7 @@ let files = [];
 // ANSI color codes
 const colors = {
   reset: '\x1b[0m',
+  bold: '\x1b[1m',
   red: '\x1b[31m',
   green: '\x1b[32m',
   yellow: '\x1b[33m',
@@ -38,13 +105,60 @@ function showHelp() {
 ai-coder [options] <command>
   -k, --key <key>            API key (default: $OPENROUTER_API_KEY)
   -u, --url <url>            API URL (default: https://openrouter.ai/api/v1/chat/completions)
+  -p, --provider <name>      API type: openai, anthropic, ollama or auto to detect from URL (default: auto)
   -m, --model <model_name>   LLM model name (default: anthropic/claude-3.5-sonnet)
+  -e, --edit-format <format> How the LLM edits files: search-replace, udiff or whole (default: search-replace)
+  --read <file>              Add file as read-only reference, can be repeated
+  -r, --review               Review changes before they are written and committed
+  --map-tokens <n>           Token budget for repository map, 0 to disable (default: 1024)
+  --context-limit <n>        Model context window in tokens (default: detected from model name)
+  --max-output-tokens <n>    Maximum tokens of a response, sent to Anthropic API (default: detected from model name)
+  --commit-style <style>     Commit message style: short, conventional or detailed (default: short)
+  --commit-template <text>   Commit message template with {summary}, {body}, {prompt}, {model} and {files}
+  --no-commit-prompt         Leave the original prompt out of commit messages
+  --no-commit                Only write changed files, don't commit them
+  --no-git                   Don't use git, back up files to .ai-coder/history instead (default outside of git repositories)
+  --retries <n>              Retries of failed or rate-limited LLM requests (default: 3)
+  --timeout <seconds>        Total timeout of an LLM request, 0 to disable (default: 600)
+  --idle-timeout <seconds>   Timeout when no data arrives from the LLM, 0 to disable (default: 60)
+  -t, --test-cmd <command>   Command to run after changes, failures are sent to the LLM to fix
+  --run-timeout <seconds>    Timeout of commands started by /run and of the test command, 0 to disable (default: 300)
+  --fix-attempts <n>         How many times the LLM may try to fix failing tests (default: 3)
+  -y, --yes                  Create and delete files without asking
+  -a, --agent                Let the LLM read files, search and run commands by itself (OpenAI-compatible APIs)
+  --budget <usd>             Stop sending requests when session cost reaches this amount
+  --no-markdown              Show LLM responses as raw markdown (always raw when output is not a terminal)
+  --resume                   Resume the last REPL session
+  -b, --branch <name>        Work on a new branch, in REPL merge it back with /merge or throw it away with /discard
+  --worktree                 Check the branch out in a temporary git worktree, leaving the current checkout untouched
+  --json                     Print newline-delimited JSON events on stdout (ask and commit), other output goes to stderr
   -h, --help                 Show this help
 
 Commands:
     ask [file1] [file2] [fileN]             Ask about code (just show LLM response). Files are provided to LLM as a context.
+                                            Files may be directories or quoted glob patterns like "src/**/*.js".
     commit [file1] [file2] [fileN]          Create git commit based on given prompt. Files are provided to LLM as a context and then edited.
     repl [file1] [file2] [fileN]            Start REPL session with file management and command execution.
+    undo                                    Revert the last commit made by ai-coder, or restore the last backup without git.
+    config                                  Show effective settings and where they come from.
+
+JSON events have a type field: delta (text), edit (file, action, diff), edit_error (file, message),
+file_written (file, action), commit (sha, files), usage (inputTokens, outputTokens, cost, sessionCost)
+and error (message).
+
+Exit codes:
+    0    Success
+    1    Error: invalid arguments or settings, failed LLM request or other failure
+    2    The response contained no changes which could be applied
+    3    Some edits failed or were refused, the others were applied
+    4    Tests still fail after all fix attempts, changes were not committed
+    5    Changes were written, but the git commit failed
+    6    Aborted by the user
+    130  Cancelled with Ctrl+C
+
+Settings are merged from ${USER_CONFIG_FILE}, ${PROJECT_CONFIG_FILE},
+environment variables (AI_CODER_MODEL, AI_CODER_API_URL, ...) and command line flags, later ones win.
+${PROJECT_CONFIG_FILE} may only set ${TRUSTED_PROJECT_SETTINGS.join(', ')} for projects listed in trustedProjects.
 `);
 }
 
@@ -56,11 +170,64 @@ while (args.length > 0) {
     showHelp();
     process.exit(0);
   } else if (arg === '-k' || arg === '--key') {
-    API_KEY = args.shift() || '';
+    cliConfig.apiKey = args.shift() || '';
   } else if (arg === '-u' || arg === '--url') {
-    API_URL = args.shift() || API_URL;
+    cliConfig.apiUrl = args.shift() || DEFAULT_CONFIG.apiUrl;
+  } else if (arg === '-p' || arg === '--provider') {
+    cliConfig.provider = args.shift() || DEFAULT_CONFIG.provider;
   } else if (arg === '-m' || arg === '--model') {
-    MODEL = args.shift() || MODEL;
+    cliConfig.model = args.shift() || DEFAULT_CONFIG.model;
+  } else if (arg === '-e' || arg === '--edit-format') {
+    cliConfig.editFormat = args.shift() || DEFAULT_CONFIG.editFormat;
+  } else if (arg === '--read') {
+    cliConfig.read = [...(cliConfig.read || []), args.shift()].filter(Boolean);
+  } else if (arg === '-r' || arg === '--review') {
+    cliConfig.review = true;
+  } else if (arg === '--map-tokens') {
+    cliConfig.mapTokens = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '--context-limit') {
+    cliConfig.contextLimit = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '--max-output-tokens') {
+    cliConfig.maxOutputTokens = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '--commit-style') {
+    cliConfig.commitStyle = args.shift() || DEFAULT_CONFIG.commitStyle;
+  } else if (arg === '--commit-template') {
+    // Allow \n for line breaks on command line
+    cliConfig.commitTemplate = (args.shift() || DEFAULT_CONFIG.commitTemplate).replace(/\\n/g, '\n');
+  } else if (arg === '--no-commit-prompt') {
+    cliConfig.commitIncludePrompt = false;
+  } else if (arg === '--no-commit') {
+    cliConfig.autoCommit = false;
+  } else if (arg === '--no-git') {
+    cliConfig.git = false;
+  } else if (arg === '--no-markdown') {
+    cliConfig.markdown = false;
+  } else if (arg === '--retries') {
+    cliConfig.retries = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '--timeout') {
+    cliConfig.timeout = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '--idle-timeout') {
+    cliConfig.idleTimeout = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '-t' || arg === '--test-cmd') {
+    cliConfig.testCommand = args.shift() || '';
+  } else if (arg === '--run-timeout') {
+    cliConfig.runTimeout = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '--fix-attempts') {
+    cliConfig.fixAttempts = parseInt(args.shift(), 10) || 0;
+  } else if (arg === '-y' || arg === '--yes') {
+    cliConfig.autoConfirm = true;
+  } else if (arg === '-a' || arg === '--agent') {
+    cliConfig.agent = true;
+  } else if (arg === '--budget') {
+    cliConfig.sessionBudget = parseFloat(args.shift()) || 0;
+  } else if (arg === '--resume') {
+    RESUME = true;
+  } else if (arg === '-b' || arg === '--branch') {
+    BRANCH = args.shift() || null;
+  } else if (arg === '--worktree') {
+    WORKTREE = true;
+  } else if (arg === '--json') {
+    JSON_OUTPUT = true;
   } else if (!command) {
     command = arg;
   } else {
@@ -68,9 +235,151 @@ while (args.length > 0) {
   }
 }
 
-// Check if API key is provided
-if (!API_KEY) {
-  console.error('Error: API key is required. Set OPENROUTER_API_KEY environment variable or use --key option.');
+// Exit codes, listed in help
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  noChanges: 2,
+  editsFailed: 3,
+  testsFailed: 4,
+  commitFailed: 5,
+  aborted: 6,
+  cancelled: 130
+};
+
+// In JSON mode stdout only carries events, everything else is written to stderr
+const writeStdout = process.stdout.write.bind(process.stdout);
+if (JSON_OUTPUT) {
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+}
+
+// Print event as one line of JSON in JSON mode
+function emitEvent(type, data = {}) {
+  if (!JSON_OUTPUT) return;
+  writeStdout(`${JSON.stringify({ type, ...data })}\n`);
+}
+
+// Merge settings from defaults, config files, environment and command line
+function loadConfig() {
+  const config = { ...DEFAULT_CONFIG };
+  const sources = {};
+  Object.keys(config).forEach(key => sources[key] = 'default');
+  
+  const apply = (values, source) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in DEFAULT_CONFIG)) {
+        console.error(`Warning: Unknown setting "${key}" in ${source}`);
+        continue;
+      }
+      // Keep types of defaults, environment only has strings
+      config[key] = typeof DEFAULT_CONFIG[key] === 'number' ? Number(value) || 0
+        : typeof DEFAULT_CONFIG[key] === 'boolean' ? value === true || value === 'true'
+        : value;
+      sources[key] = source;
+    }
+  };
+  
+  for (const file of [USER_CONFIG_FILE, PROJECT_CONFIG_FILE]) {
+    if (!fs.existsSync(file)) continue;
+    let values;
+    try {
+      values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Error: Cannot read config file ${file}: ${error.message}`);
+      process.exit(1);
+    }
+    
+    if (file === PROJECT_CONFIG_FILE && !isTrustedProject(config.trustedProjects)) {
+      const ignored = Object.keys(values).filter(key => TRUSTED_PROJECT_SETTINGS.includes(key));
+      if (ignored.length > 0) {
+        console.error(`Warning: Ignoring ${ignored.join(', ')} in ${file}, add ${process.cwd()} to trustedProjects in ${USER_CONFIG_FILE} to allow them`);
+        ignored.forEach(key => delete values[key]);
+      }
+    }
+    apply(values, file);
+  }
+  
+  for (const [key, names] of Object.entries(ENV_CONFIG)) {
+    const name = names.find(name => process.env[name]);
+    if (name) apply({ [key]: process.env[name] }, `environment ${name}`);
+  }
+  
+  apply(cliConfig, 'command line');
+  return { config, sources };
+}
+
+// Check if current directory is one of the trusted project directories
+function isTrustedProject(trustedProjects) {
+  const cwd = fs.realpathSync(process.cwd());
+  return trustedProjects.some(dir => {
+    try {
+      return fs.realpathSync(dir.replace(/^~(?=$|\/)/, os.homedir())) === cwd;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+const { config, sources: configSources } = loadConfig();
+let API_KEY = config.apiKey;
+let API_URL = config.apiUrl;
+let PROVIDER = config.provider;
+let MODEL = config.model;
+let EDIT_FORMAT = config.editFormat;
+let REVIEW = config.review;
+let MAP_TOKENS = config.mapTokens;
+let CONTEXT_LIMIT = config.contextLimit;
+let MAX_OUTPUT_TOKENS = config.maxOutputTokens;
+let RETRIES = config.retries;
+let TIMEOUT = config.timeout;
+let IDLE_TIMEOUT = config.idleTimeout;
+let TEST_COMMAND = config.testCommand;
+let MAX_FIX_ATTEMPTS = config.fixAttempts;
+let COMMIT_TRAILER = config.commitTrailer;
+let AUTO_COMMIT = config.autoCommit;
+let USE_GIT = config.git && isGitRepository();
+let RENDER_MARKDOWN = config.markdown;
+let AGENT = config.agent;
+let READ_ONLY_FILES = [...config.read];
+let PROTECTED_PATHS = config.protectedPaths;
+let AUTO_CONFIRM = config.autoConfirm;
+let RUN_TIMEOUT = config.runTimeout;
+let PRICES = config.prices;
+let SESSION_BUDGET = config.sessionBudget;
+let PROJECT_BUDGET = config.projectBudget;
+
+// Check if current directory is inside a git work tree
+function isGitRepository() {
+  try {
+    return execFileSync('git', ['rev-parse', '--is-inside-work-tree'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Use default context files when none are given
+if (files.length === 0) {
+  files = [...config.files];
+}
+
+// Print effective settings with their sources
+function showConfig() {
+  for (const [key, value] of Object.entries(config)) {
+    // Don't leak API key
+    const shown = key === 'apiKey' && value ? `${value.slice(0, 6)}...${value.slice(-4)}` : JSON.stringify(value);
+    console.log(`${key.padEnd(14)} ${shown.padEnd(50)} ${colors.gray}(${configSources[key]})${colors.reset}`);
+  }
+}
+
+// Check if edit format is supported
+if (!['search-replace', 'udiff', 'whole'].includes(EDIT_FORMAT)) {
+  console.error(`Error: Unknown edit format: ${EDIT_FORMAT}. Use search-replace, udiff or whole.`);
+  process.exit(1);
+}
+
+// Check if commit style is supported
+if (!['short', 'conventional', 'detailed'].includes(config.commitStyle)) {
+  console.error(`Error: Unknown commit style: ${config.commitStyle}. Use short, conventional or detailed.`);
   process.exit(1);
 }
 
@@ -100,28 +409,282 @@ async function readFiles(fileList) {
   return content.trim();
 }
 
-// System prompts
-const SYSTEM_PROMPT_CODE = `
-You are an expert software developer AI assistant. Your task is to help with coding questions and implement code changes.
+// Heading of read-only files in prompts
+const READ_ONLY_HEADING = 'Read-only files (reference only, do not edit them):';
 
-When editing files, always show the complete file content like this:
+// Files bigger than this are not added to context
+const MAX_CONTEXT_FILE_SIZE = 256 * 1024;
 
-filename.py
-\`\`\`
-def hello():
-    print("hello world")
-\`\`\`
+// List project files respecting .gitignore, including untracked ones.
+// Outside of git all files are listed except hidden directories.
+async function listProjectFiles() {
+  try {
+    const { stdout } = await execPromise('git ls-files --cached --others --exclude-standard');
+    return stdout.split('\n').filter(Boolean);
+  } catch (error) {
+    debug('Cannot list git files, walking directory:', error.message);
+  }
+  
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = dir === '.' ? entry.name : path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name.startsWith('.') || entry.name === 'node_modules' ? [] : walk(file);
+    return entry.isFile() ? [file] : [];
+  });
+  return walk('.');
+}
 
-Rules:
-- Show the filename alone on a line
-- Show complete file content between \`\`\` marks
-- Never use ... or partial files
-- Ask questions if the request is unclear
-`;
+// Check if a file can be used as context, warns about binary and too large files
+function isContextFile(file) {
+  try {
+    if (fs.statSync(file).size > MAX_CONTEXT_FILE_SIZE) {
+      console.error(`${colors.yellow}Skipping ${file}: larger than ${MAX_CONTEXT_FILE_SIZE / 1024} KB${colors.reset}`);
+      return false;
+    }
+    if (isBinaryFile(file)) {
+      console.error(`${colors.yellow}Skipping ${file}: binary file${colors.reset}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`${colors.yellow}Skipping ${file}: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
 
-const SYSTEM_PROMPT_COMMIT = `
-You are an expert software developer AI assistant. Your task is to implement code changes based on the user's request.
+// Expand file names, directories and glob patterns (src/**/*.js) to context files.
+// Directories and globs only match files which are not ignored by git.
+async function expandFilePatterns(patterns) {
+  const files = [];
+  let projectFiles = null;
+  
+  for (const pattern of patterns) {
+    let matches;
+    if (fs.existsSync(pattern) && fs.statSync(pattern).isFile()) {
+      matches = [pattern];
+    } else {
+      projectFiles = projectFiles || await listProjectFiles();
+      const normalized = path.normalize(pattern).split(path.sep).join('/');
+      if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+        const prefix = normalized === '.' ? '' : `${normalized.replace(/\/$/, '')}/`;
+        matches = projectFiles.filter(file => file.startsWith(prefix));
+      } else {
+        const regex = globToRegExp(normalized);
+        matches = projectFiles.filter(file => regex.test(file));
+      }
+    }
+    
+    if (matches.length === 0) {
+      console.error(`${colors.yellow}No files match ${pattern}${colors.reset}`);
+    }
+    for (const file of matches) {
+      if (!files.includes(file) && isContextFile(file)) {
+        files.push(file);
+      }
+    }
+  }
+  
+  return files;
+}
+
+// Rough token estimate, about 4 characters per token
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Context window sizes by model name, first match wins
+const MODEL_CONTEXT_LIMITS = [
+  [/gemini/, 1000000],
+  [/claude/, 200000],
+  [/gpt-4\.1/, 1000000],
+  [/gpt-4o|gpt-4-turbo|o1|o3|o4/, 128000],
+  [/gpt-4/, 8192],
+  [/gpt-3\.5/, 16385],
+  [/llama-?3|qwen|deepseek/, 64000],
+  [/mistral|mixtral/, 32000]
+];
+const DEFAULT_CONTEXT_LIMIT = 32000;
+
+// Response size limits by model name for APIs which require one, first match wins.
+// Claude 3 models reject requests asking for more than 4096 tokens.
+const MODEL_OUTPUT_LIMITS = [
+  [/claude-3-(haiku|sonnet|opus)/, 4096]
+];
+const DEFAULT_OUTPUT_LIMIT = 8192;
+
+// Get maximum response size for current model
+function getMaxOutputTokens() {
+  if (MAX_OUTPUT_TOKENS > 0) return MAX_OUTPUT_TOKENS;
+  
+  const entry = MODEL_OUTPUT_LIMITS.find(([pattern]) => pattern.test(MODEL));
+  return entry ? entry[1] : DEFAULT_OUTPUT_LIMIT;
+}
+
+// Share of the context window left for the response
+const RESPONSE_RESERVE = 0.2;
+
+// Get context window size for current model
+function getContextLimit() {
+  if (CONTEXT_LIMIT > 0) return CONTEXT_LIMIT;
+  
+  const entry = MODEL_CONTEXT_LIMITS.find(([pattern]) => pattern.test(MODEL));
+  return entry ? entry[1] : DEFAULT_CONTEXT_LIMIT;
+}
+
+// Count tokens in history messages
+function countHistoryTokens(history) {
+  return history.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+}
+
+// Strip bookkeeping fields from history messages before sending them to the API
+function toApiMessages(history) {
+  return history.map(({ role, content }) => ({ role, content }));
+}
+
+// Shrink conversation history to fit the model context. Messages with file snapshots
+// or command output are replaced by their short compacted version first, oldest first,
+// then the oldest turns are dropped. The latest message is always kept intact.
+function compactHistory(history, reservedTokens) {
+  const budget = Math.floor(getContextLimit() * (1 - RESPONSE_RESERVE)) - reservedTokens;
+  if (countHistoryTokens(history) <= budget) return;
+  
+  let shortened = 0;
+  let dropped = 0;
+  
+  for (let i = 0; i < history.length - 1 && countHistoryTokens(history) > budget; i++) {
+    if (history[i].compacted !== undefined && history[i].content !== history[i].compacted) {
+      history[i].content = history[i].compacted;
+      shortened++;
+    }
+  }
+  
+  while (history.length > 1 && countHistoryTokens(history) > budget) {
+    history.shift();
+    dropped++;
+    // Conversation should start with user message
+    while (history.length > 1 && history[0].role !== 'user') {
+      history.shift();
+      dropped++;
+    }
+  }
+  
+  console.log(`${colors.gray}Compacted conversation to fit context: ${shortened} message(s) shortened, ${dropped} dropped${colors.reset}`);
+  if (countHistoryTokens(history) > budget) {
+    console.log(`${colors.yellow}Warning: current message alone may exceed the context limit of ${getContextLimit()} tokens${colors.reset}`);
+  }
+}
+
+// Top-level symbol patterns by file extension, used for the repository map
+const SYMBOL_PATTERNS = {
+  js: [
+    /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\*?\s*[\w$]*\s*\([^)]*\)/,
+    /^(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+[\w$]+(?:\s+extends\s+[\w$.]+)?/,
+    /^(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*=\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*=>/,
+    /^export\s+(?:const|let|var|interface|type|enum)\s+[\w$]+/,
+    /^(?:module\.)?exports(?:\.[\w$]+)?\s*=/
+  ],
+  py: [
+    /^(?:async\s+)?def\s+\w+\s*\([^)]*\)/,
+    /^class\s+\w+(?:\([^)]*\))?/
+  ],
+  go: [
+    /^func\s+(?:\([^)]*\)\s*)?\w+\s*\([^)]*\)/,
+    /^type\s+\w+\s+(?:struct|interface)/
+  ],
+  rs: [
+    /^(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+\w+(?:<[^>]*>)?\s*\([^)]*\)/,
+    /^(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|mod)\s+\w+/,
+    /^impl(?:<[^>]*>)?\s+[\w:<>, ]+/
+  ],
+  rb: [
+    /^(?:def|class|module)\s+[\w.:]+/
+  ],
+  java: [
+    /^(?:(?:public|protected|private|abstract|final|static|sealed)\s+)*(?:class|interface|enum|record)\s+\w+/
+  ],
+  sh: [
+    /^(?:function\s+)?[\w-]+\s*\(\)/
+  ]
+};
+['jsx', 'ts', 'tsx', 'mjs', 'cjs'].forEach(ext => SYMBOL_PATTERNS[ext] = SYMBOL_PATTERNS.js);
+['kt', 'cs', 'scala'].forEach(ext => SYMBOL_PATTERNS[ext] = SYMBOL_PATTERNS.java);
+SYMBOL_PATTERNS.bash = SYMBOL_PATTERNS.sh;
+
+// Cache of extracted symbols by file, invalidated when file mtime or size changes
+const repoMapCache = new Map();
+
+// Extract top-level symbol signatures from a file
+function extractSymbols(file) {
+  const patterns = SYMBOL_PATTERNS[path.extname(file).slice(1).toLowerCase()];
+  if (!patterns) return [];
+  
+  const stat = fs.statSync(file);
+  const cached = repoMapCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.symbols;
+  }
+  
+  const symbols = [];
+  // Skip huge files, they are likely generated
+  if (stat.size <= 1024 * 1024) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      for (const pattern of patterns) {
+        const match = line.match(pattern);
+        if (match) {
+          symbols.push(match[0].trim());
+          break;
+        }
+      }
+    }
+  }
+  
+  repoMapCache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, symbols });
+  return symbols;
+}
+
+// Build outline of git-tracked files and their top-level symbols within token budget.
+// Files already in context are skipped since the LLM sees their full content.
+async function buildRepoMap(excludeFiles = []) {
+  if (MAP_TOKENS <= 0) return '';
+  
+  let trackedFiles;
+  try {
+    trackedFiles = USE_GIT ? (await execPromise('git ls-files')).stdout.split('\n').filter(Boolean) : await listProjectFiles();
+  } catch (error) {
+    debug('Cannot list git files for repository map:', error.message);
+    return '';
+  }
+  
+  const excluded = new Set(excludeFiles.map(file => path.normalize(file)));
+  const entries = [];
+  for (const file of trackedFiles) {
+    if (excluded.has(path.normalize(file)) || !fs.existsSync(file)) continue;
+    
+    try {
+      const symbols = extractSymbols(file);
+      entries.push(symbols.length ? `${file}:\n${symbols.map(symbol => `  ${symbol}`).join('\n')}` : file);
+    } catch (error) {
+      debug(`Error extracting symbols from ${file}: ${error.message}`);
+    }
+  }
+  
+  // Add entries until token budget is exhausted
+  let map = '';
+  let included = 0;
+  for (const entry of entries) {
+    if (estimateTokens(map + entry) > MAP_TOKENS) break;
+    map += `${entry}\n`;
+    included++;
+  }
+  if (included < entries.length) {
+    map += `... ${entries.length - included} more files\n`;
+  }
+  
+  return map.trim();
+}
 
+// Edit format instructions for the system prompts
+const EDIT_FORMAT_PROMPTS = {
+  'whole': `
 When creating or modifying files, always show the complete file content like this:
 
 filename.py
@@ -134,98 +697,403 @@ Rules:
 - Show the filename alone on a line
 - Show complete file content between \`\`\` marks
 - Never use ... or partial files
-- Ensure output format is exactly as shown above to enable automatic file updates
 - If a file should be created, include it in the same format
+`,
+  'search-replace': `
+When creating or modifying files, show each change as a SEARCH/REPLACE block like this:
+
+path/to/file.py
+<<<<<<< SEARCH
+def hello():
+    print("hello")
+=======
+def hello():
+    print("hello world")
+>>>>>>> REPLACE
+
+Rules:
+- Show the file path alone on the line before each block
+- The SEARCH section must match the existing file content exactly, including whitespace and indentation
+- Include just enough lines in SEARCH to uniquely identify the place to change
+- Use several small blocks for several changes, they are applied in order
+- To create a new file, use an empty SEARCH section and put the whole file content in REPLACE
+- To delete code, leave the REPLACE section empty
+`,
+  'udiff': `
+When creating or modifying files, show the changes as unified diffs like this:
+
+\`\`\`diff
+--- a/path/to/file.py
++++ b/path/to/file.py
+@@ -1,2 +1,2 @@
+ def hello():
+-    print("hello")
++    print("hello world")
+\`\`\`
+
+Rules:
+- Start the changes to each file with --- and +++ lines holding its path
+- Prefix unchanged context lines with a space, removed lines with - and added lines with +
+- Include a few context lines around each change, they must match the file exactly
+- Line numbers in @@ headers may be approximate
+- To create a new file, use --- /dev/null and add all of its lines
+- To delete a file, use +++ /dev/null
+`
+};
+
+// System prompts
+const SYSTEM_PROMPT_CODE = `
+You are an expert software developer AI assistant. Your task is to help with coding questions and implement code changes.
+${EDIT_FORMAT_PROMPTS[EDIT_FORMAT]}- Ask questions if the request is unclear
+`;
+
+const SYSTEM_PROMPT_COMMIT = `
+You are an expert software developer AI assistant. Your task is to implement code changes based on the user's request.
+${EDIT_FORMAT_PROMPTS[EDIT_FORMAT]}- Ensure output format is exactly as shown above to enable automatic file updates
 - Ask questions if the request is unclear
 `;
 
-// Make streaming API request to the LLM
-function streamLLM(messages, onData, onComplete, onError) {
+// Merge consecutive messages with the same role, required by APIs expecting alternating turns
+function mergeConsecutiveMessages(messages) {
+  const merged = [];
+  for (const message of messages) {
+    const last = merged[merged.length - 1];
+    if (last && last.role === message.role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      merged.push({ ...message });
+    }
+  }
+  return merged;
+}
+
+// Provider adapters translate chat messages to provider requests and parse their responses.
+// Streams are either server-sent events (sse) or newline-delimited JSON (ndjson).
+const PROVIDERS = {
+  openai: {
+    streamFormat: 'sse',
+    headers: () => ({ 'Authorization': `Bearer ${API_KEY}` }),
+    buildBody: (messages, stream, tools) => ({
+      model: MODEL,
+      messages,
+      stream,
+      // Usage is sent in the last event only when asked for
+      stream_options: stream ? { include_usage: true } : undefined,
+      tools
+    }),
+    parseResponse: (json) => json.choices[0].message.content,
+    parseUsage: (json) => json.usage && { inputTokens: json.usage.prompt_tokens, outputTokens: json.usage.completion_tokens },
+    parseStreamEvent: (json) => ({
+      content: json.choices?.[0]?.delta?.content || '',
+      toolCalls: json.choices?.[0]?.delta?.tool_calls,
+      usage: json.usage && { inputTokens: json.usage.prompt_tokens, outputTokens: json.usage.completion_tokens },
+      error: json.error && (json.error.message || JSON.stringify(json.error))
+    })
+  },
+  anthropic: {
+    streamFormat: 'sse',
+    headers: () => ({ 'x-api-key': API_KEY, 'anthropic-version': '2023-06-01' }),
+    buildBody: (messages, stream) => ({
+      model: MODEL,
+      max_tokens: getMaxOutputTokens(),
+      system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n') || undefined,
+      messages: mergeConsecutiveMessages(messages.filter(m => m.role !== 'system')),
+      stream
+    }),
+    parseResponse: (json) => json.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    parseUsage: (json) => json.usage && { inputTokens: json.usage.input_tokens, outputTokens: json.usage.output_tokens },
+    parseStreamEvent: (json) => ({
+      content: json.type === 'content_block_delta' ? json.delta?.text || '' : '',
+      // Input tokens come at message start, message delta has the final output tokens
+      usage: json.type === 'message_start' && json.message?.usage ? { inputTokens: json.message.usage.input_tokens, outputTokens: json.message.usage.output_tokens }
+        : json.type === 'message_delta' && json.usage ? { outputTokens: json.usage.output_tokens }
+        : undefined,
+      done: json.type === 'message_stop',
+      error: json.type === 'error' ? json.error?.message || JSON.stringify(json.error) : undefined
+    })
+  },
+  ollama: {
+    streamFormat: 'ndjson',
+    headers: () => API_KEY ? { 'Authorization': `Bearer ${API_KEY}` } : {},
+    buildBody: (messages, stream) => ({ model: MODEL, messages, stream }),
+    parseResponse: (json) => json.message.content,
+    parseUsage: (json) => ({ inputTokens: json.prompt_eval_count, outputTokens: json.eval_count }),
+    parseStreamEvent: (json) => ({
+      content: json.message?.content || '',
+      usage: json.done ? { inputTokens: json.prompt_eval_count, outputTokens: json.eval_count } : undefined,
+      done: json.done === true,
+      error: json.error
+    })
+  }
+};
+
+// Pick provider adapter from config or API URL
+function getProvider() {
+  if (PROVIDER !== 'auto') return PROVIDERS[PROVIDER];
+  
+  const parsedUrl = new URL(API_URL);
+  if (parsedUrl.hostname === 'api.anthropic.com' || parsedUrl.pathname.endsWith('/messages')) {
+    return PROVIDERS.anthropic;
+  }
+  // Native Ollama API, OpenRouter also has URLs under /api/ and Ollama serves an
+  // OpenAI-compatible API under /v1/
+  const ollamaPaths = ['/api/chat', '/api/generate'];
+  if (ollamaPaths.includes(parsedUrl.pathname.replace(/\/$/, '')) ||
+      (parsedUrl.port === '11434' && !parsedUrl.pathname.startsWith('/v1/'))) {
+    return PROVIDERS.ollama;
+  }
+  return PROVIDERS.openai;
+}
+
+// HTTP statuses and network error codes worth retrying
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Backoff between retries
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+// Create API error, marking whether the request may be retried and when
+function createApiError(message, retryable = false, retryAfter = undefined) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Create error from non-2xx response
+function createStatusError(res, data) {
+  return createApiError(
+    `API request failed with status ${res.statusCode}: ${data}`,
+    RETRYABLE_STATUSES.includes(res.statusCode),
+    parseRetryAfter(res.headers['retry-after'])
+  );
+}
+
+// Wrap network error, connection problems can be retried
+function createNetworkError(prefix, error) {
+  if (error.retryable !== undefined) return error;
+  return createApiError(`${prefix}: ${error.message}`, RETRYABLE_ERROR_CODES.includes(error.code));
+}
+
+// Parse Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+  
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Delay before next attempt: Retry-After if given, otherwise exponential backoff with jitter
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== undefined) return Math.min(retryAfter, RETRY_MAX_DELAY * 4);
+  
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Tell the user a failed request will be retried
+function reportRetry(error, delay, attempt) {
+  console.error(`\n${colors.yellow}${error.message}${colors.reset}`);
+  console.error(`${colors.yellow}Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt} of ${RETRIES})...${colors.reset}`);
+}
+
+// Run promise-returning request, retrying retryable failures
+async function withRetries(request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!error.retryable || attempt > RETRIES) throw error;
+      
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      reportRetry(error, delay, attempt);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Send request to LLM API over http or https depending on URL.
+// The request is destroyed with a retryable error when it stalls or takes too long.
+function sendRequest(body, onResponse) {
+  const provider = getProvider();
+  
+  // Parse API URL
+  const parsedUrl = new URL(API_URL);
+  
+  const options = {
+    hostname: parsedUrl.hostname,
+    path: parsedUrl.pathname + parsedUrl.search,
+    method: 'POST',
+    port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
+    headers: {
+      'Content-Type': 'application/json',
+      ...provider.headers()
+    }
+  };
+  
+  debug('API request options:', JSON.stringify({ ...options, headers: { 'Content-Type': 'application/json' } }));
+  
+  const transport = parsedUrl.protocol === 'http:' ? http : https;
+  const req = transport.request(options, onResponse);
+  
+  // Idle timeout covers both waiting for response and stalled streams
+  if (IDLE_TIMEOUT > 0) {
+    req.setTimeout(IDLE_TIMEOUT * 1000, () => {
+      req.destroy(createApiError(`No data received from API for ${IDLE_TIMEOUT}s`, true));
+    });
+  }
+  if (TIMEOUT > 0) {
+    const timer = setTimeout(() => {
+      req.destroy(createApiError(`API request timed out after ${TIMEOUT}s`, true));
+    }, TIMEOUT * 1000);
+    req.on('close', () => clearTimeout(timer));
+  }
+  
+  req.write(JSON.stringify(body));
+  req.end();
+  return req;
+}
+
+// Make streaming API request to the LLM. Failed requests are retried as long as
+// nothing was streamed yet, since partial output can't be taken back.
+// Tool calls requested by the LLM are collected from deltas and passed to onComplete.
+function streamLLM(messages, onData, onComplete, onError, options = {}) {
   try {
     let currentRequest = null;
+    let retryTimer = null;
     let aborted = false;
+    let finished = false;
+    let attempt = 0;
+    let accumulatedResponse = '';
+    let usage = null;
+    const toolCalls = [];
     
-    const requestData = {
-      model: MODEL,
-      messages: messages,
-      stream: true
-    };
-    
-    debug('Sending request to LLM API:', JSON.stringify(requestData, null, 2));
-    
-    // Parse API URL
-    const parsedUrl = new URL(API_URL);
+    const budgetError = checkBudget();
+    if (budgetError) {
+      onError(budgetError);
+      return () => {};
+    }
     
-    const options = {
-      hostname: parsedUrl.hostname,
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'POST',
-      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${API_KEY}`
-      }
-    };
+    const provider = getProvider();
+    const requestData = provider.buildBody(messages, true, options.tools);
     
-    debug('API request options:', JSON.stringify(options));
+    debug('Sending request to LLM API:', JSON.stringify(requestData, null, 2));
     
-    const req = https.request(options, (res) => {
-      currentRequest = req;
-      let accumulatedResponse = '';
+    const startRequest = () => {
+      const requestAttempt = ++attempt;
+      let ended = false;
       
-      res.on('data', (chunk) => {
-        if (aborted) return;
+      // Events of earlier attempts are ignored, as well as events of this attempt
+      // after it failed
+      const isActive = () => !aborted && !finished && !ended && requestAttempt === attempt;
+      
+      const fail = (error) => {
+        if (!isActive()) return;
+        // Destroying the request makes its response emit another error
+        ended = true;
+        
+        if (error.retryable && !accumulatedResponse && toolCalls.length === 0 && attempt <= RETRIES) {
+          currentRequest.destroy();
+          const delay = getRetryDelay(attempt, error.retryAfter);
+          reportRetry(error, delay, attempt);
+          retryTimer = setTimeout(startRequest, delay);
+          return;
+        }
         
-        const text = chunk.toString();
+        finished = true;
+        onError(error);
+      };
+      
+      const complete = () => {
+        if (!isActive()) return;
+        finished = true;
+        recordUsage(usage);
+        onComplete(accumulatedResponse, toolCalls.filter(Boolean));
+      };
+      
+      currentRequest = sendRequest(requestData, (res) => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          let data = '';
+          res.on('data', (chunk) => data += chunk);
+          res.on('end', () => fail(createStatusError(res, data)));
+          return;
+        }
         
-        // Handle stream chunks
-        const lines = text.split('\n');
-        for (const line of lines) {
-          if (!line.trim() || line.includes('[DONE]')) continue;
+        const createParser = provider.streamFormat === 'sse' ? createSSEParser : createNDJSONParser;
+        const parser = createParser(({ data }) => {
+          if (!isActive()) return;
+          
+          // OpenAI-compatible APIs end the stream with [DONE]
+          if (data === '[DONE]') {
+            complete();
+            return;
+          }
           
+          let event;
           try {
-            const jsonStr = line.replace(/^data: /, '').trim();
-            if (!jsonStr) continue;
-            
-            const json = JSON.parse(jsonStr);
-            const content = json.choices[0].delta?.content || '';
-            if (content) {
-              accumulatedResponse += content;
-              onData(content);
-            }
+            event = provider.parseStreamEvent(JSON.parse(data));
           } catch (e) {
-            debug(`Error parsing stream chunk: ${e.message}, chunk: ${line}`);
+            debug(`Error parsing stream event: ${e.message}, data: ${data}`);
+            return;
           }
-        }
-      });
-      
-      res.on('end', () => {
-        if (!aborted) {
-          onComplete(accumulatedResponse);
-        }
-      });
-      
-      res.on('error', (error) => {
-        if (!aborted) {
-          onError(new Error(`Network error: ${error.message}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      if (!aborted) {
-        onError(new Error(`Request error: ${error.message}`));
-      }
-    });
+          
+          if (event.error) {
+            fail(createApiError(`API error: ${event.error}`, true));
+            return;
+          }
+          if (event.content) {
+            accumulatedResponse += event.content;
+            onData(event.content);
+          }
+          if (event.usage) {
+            usage = { ...usage, ...event.usage };
+          }
+          // Tool call names and arguments arrive in pieces, merged by index
+          for (const delta of event.toolCalls || []) {
+            const call = toolCalls[delta.index] = toolCalls[delta.index] ||
+              { id: '', type: 'function', function: { name: '', arguments: '' } };
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.function.name += delta.function.name;
+            if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+          }
+          if (event.done) {
+            complete();
+          }
+        });
+        
+        res.on('data', (chunk) => {
+          if (!isActive()) return;
+          parser.feed(chunk);
+        });
+        
+        res.on('end', () => {
+          if (!isActive()) return;
+          parser.end();
+          complete();
+        });
+        
+        res.on('error', (error) => {
+          fail(createNetworkError('Network error', error));
+        });
+      });
+      
+      currentRequest.on('error', (error) => {
+        fail(createNetworkError('Request error', error));
+      });
+    };
     
-    req.write(JSON.stringify(requestData));
-    req.end();
+    startRequest();
     
     // Return an abort function
     return () => {
-      if (currentRequest && !aborted) {
+      if (!aborted) {
         aborted = true;
-        currentRequest.abort();
+        clearTimeout(retryTimer);
+        currentRequest.destroy();
         debug('LLM request aborted');
       }
     };
@@ -235,38 +1103,130 @@ function streamLLM(messages, onData, onComplete, onError) {
   }
 }
 
+// Prices in USD per million tokens, matched by the longest name part contained in
+// model name. Prices from config override these.
+const DEFAULT_PRICES = {
+  'claude-3.5-sonnet': { input: 3, output: 15 },
+  'claude-3.7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3.5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'o3-mini': { input: 1.1, output: 4.4 }
+};
+
+// Project usage totals, kept in data directory
+const USAGE_FILE = 'usage.json';
+
+function createUsageTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+}
+
+// Usage of this session and of the current turn, reported after each turn
+const sessionUsage = createUsageTotals();
+let turnUsage = createUsageTotals();
+
+// Get price of model, local Ollama models are free
+function getModelPrice(model) {
+  if (getProvider() === PROVIDERS.ollama) return { input: 0, output: 0 };
+  
+  const prices = { ...DEFAULT_PRICES, ...PRICES };
+  const name = Object.keys(prices)
+    .filter(name => model.includes(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? prices[name] : null;
+}
+
+function addUsage(totals, usage, cost, unpriced) {
+  totals.requests++;
+  totals.inputTokens += usage.inputTokens || 0;
+  totals.outputTokens += usage.outputTokens || 0;
+  totals.cost += cost;
+  if (unpriced) totals.unpriced++;
+  return totals;
+}
+
+// Load project usage totals with breakdown by model
+function loadProjectUsage() {
+  const file = path.join(DATA_DIR, USAGE_FILE);
+  if (!fs.existsSync(file)) return { ...createUsageTotals(), models: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Record token usage of one LLM request in session, turn and project totals
+function recordUsage(usage) {
+  if (!usage) return;
+  debug('Token usage:', usage);
+  
+  const price = getModelPrice(MODEL);
+  const cost = price ? ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000 : 0;
+  addUsage(sessionUsage, usage, cost, !price);
+  addUsage(turnUsage, usage, cost, !price);
+  
+  try {
+    const project = loadProjectUsage();
+    addUsage(project, usage, cost, !price);
+    project.models[MODEL] = addUsage(project.models[MODEL] || createUsageTotals(), usage, cost, !price);
+    fs.writeFileSync(path.join(getDataDir(), USAGE_FILE), JSON.stringify(project, null, 2), 'utf8');
+  } catch (error) {
+    debug('Error saving usage:', error.message);
+  }
+}
+
+// Format usage totals in one line
+function formatUsage(totals) {
+  let text = `${totals.inputTokens.toLocaleString('en-US')} tokens sent, ${totals.outputTokens.toLocaleString('en-US')} received, $${totals.cost.toFixed(4)}`;
+  if (totals.unpriced > 0) {
+    text += ` (${totals.unpriced} request(s) without known price)`;
+  }
+  return text;
+}
+
+// Print usage of the finished turn and start counting a new one
+function reportTurnUsage() {
+  if (turnUsage.requests === 0) return;
+  console.log(`${colors.gray}Usage: ${formatUsage(turnUsage)}. Session: $${sessionUsage.cost.toFixed(4)}${colors.reset}`);
+  emitEvent('usage', { ...turnUsage, sessionCost: sessionUsage.cost });
+  turnUsage = createUsageTotals();
+}
+
+// Check budget limits before a request, returns error when a budget is used up
+function checkBudget() {
+  if (SESSION_BUDGET > 0 && sessionUsage.cost >= SESSION_BUDGET) {
+    return createApiError(`Session budget of $${SESSION_BUDGET} is used up ($${sessionUsage.cost.toFixed(4)} spent)`);
+  }
+  if (PROJECT_BUDGET > 0) {
+    const project = loadProjectUsage();
+    if (project.cost >= PROJECT_BUDGET) {
+      return createApiError(`Project budget of $${PROJECT_BUDGET} is used up ($${project.cost.toFixed(4)} spent)`);
+    }
+  }
+  return null;
+}
+
 // Non-streaming LLM call for commit messages
 function callLLM(systemPrompt, userPrompt) {
-  return new Promise((resolve, reject) => {
+  const budgetError = checkBudget();
+  if (budgetError) {
+    return Promise.reject(budgetError);
+  }
+  
+  const provider = getProvider();
+  const requestData = provider.buildBody([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], false);
+  
+  debug('Sending request to LLM API:', JSON.stringify(requestData, null, 2));
+  
+  return withRetries(() => new Promise((resolve, reject) => {
     try {
-      const requestData = {
-        model: MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        stream: false
-      };
-      
-      debug('Sending request to LLM API:', JSON.stringify(requestData, null, 2));
-      
-      // Parse API URL
-      const parsedUrl = new URL(API_URL);
-      
-      const options = {
-        hostname: parsedUrl.hostname,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'POST',
-        port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`
-        }
-      };
-      
-      debug('API request options:', JSON.stringify(options));
-      
-      const req = https.request(options, (res) => {
+      const req = sendRequest(requestData, (res) => {
         let data = '';
         
         res.on('data', (chunk) => {
@@ -279,52 +1239,287 @@ function callLLM(systemPrompt, userPrompt) {
             
             if (res.statusCode >= 200 && res.statusCode < 300) {
               const response = JSON.parse(data);
-              const content = response.choices[0].message.content;
+              const content = provider.parseResponse(response);
+              recordUsage(provider.parseUsage(response));
               resolve(content);
             } else {
-              reject(new Error(`API request failed with status ${res.statusCode}: ${data}`));
+              reject(createStatusError(res, data));
             }
           } catch (error) {
             reject(new Error(`Failed to parse API response: ${error.message}`));
           }
         });
+        
+        res.on('error', (error) => {
+          reject(createNetworkError('Network error', error));
+        });
       });
       
       req.on('error', (error) => {
-        reject(new Error(`Network error: ${error.message}`));
+        reject(createNetworkError('Network error', error));
       });
       
-      req.write(JSON.stringify(requestData));
-      req.end();
-      
     } catch (error) {
       reject(new Error(`Error setting up API request: ${error.message}`));
     }
+  }));
+}
+
+// Tools the LLM can call in agent mode, in OpenAI tools format
+const AGENT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a file from the project',
+      parameters: {
+        type: 'object',
+        properties: { path: { type: 'string', description: 'File path relative to project root' } },
+        required: ['path']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_files',
+      description: 'List files tracked in the project, optionally only under a directory',
+      parameters: {
+        type: 'object',
+        properties: { path: { type: 'string', description: 'Directory relative to project root' } }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'grep',
+      description: 'Search project files for a regular expression, returns matching lines with line numbers',
+      parameters: {
+        type: 'object',
+        properties: {
+          pattern: { type: 'string', description: 'Extended regular expression' },
+          path: { type: 'string', description: 'Directory or file to search in' }
+        },
+        required: ['pattern']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'run_command',
+      description: 'Run a shell command in the project root, the user has to approve it',
+      parameters: {
+        type: 'object',
+        properties: { command: { type: 'string' } },
+        required: ['command']
+      }
+    }
+  }
+];
+
+// Added to system prompt in agent mode
+const AGENT_PROMPT = `
+You can call tools to read files, list files, search code and run commands.
+Use them to look at the code you need instead of guessing, then give your final answer.`;
+
+// Maximum LLM requests in one agent turn
+const MAX_AGENT_STEPS = 20;
+
+// Maximum characters of tool output sent back to the LLM
+const MAX_TOOL_OUTPUT = 20000;
+
+// Execute file as a promise, arguments are not interpreted by shell, so they may
+// contain file names from the LLM. Input is written to stdin if given.
+function execFilePromise(file, fileArgs, input = undefined) {
+  return new Promise((resolve, reject) => {
+    const proc = execFile(file, fileArgs, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+    
+    if (input !== undefined) {
+      proc.stdin.write(input);
+      proc.stdin.end();
+    }
   });
 }
 
+// Resolve path given by the LLM, it must stay inside the repository also after
+// following symlinks, like paths of file writes
+function resolveProjectPath(file) {
+  const resolved = path.resolve(file || '.');
+  const relative = path.relative(getRepoRoot(), realPath(resolved));
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`Path is outside of the project: ${file}`);
+  }
+  return path.relative(process.cwd(), resolved) || '.';
+}
+
+// Cut tool output to a size the LLM can handle
+function limitToolOutput(output) {
+  if (output.length <= MAX_TOOL_OUTPUT) return output;
+  return `${output.slice(0, MAX_TOOL_OUTPUT)}\n... (${output.length - MAX_TOOL_OUTPUT} more characters)`;
+}
+
+// Run a tool called by the LLM and return its result as text
+async function executeTool(call) {
+  let params;
+  try {
+    params = JSON.parse(call.function.arguments || '{}');
+  } catch (error) {
+    return `Error: Invalid JSON arguments: ${error.message}`;
+  }
+  
+  console.log(`${colors.gray}[${call.function.name}] ${JSON.stringify(params)}${colors.reset}`);
+  
+  try {
+    switch (call.function.name) {
+      case 'read_file': {
+        const file = resolveProjectPath(params.path);
+        return limitToolOutput(fs.readFileSync(file, 'utf8'));
+      }
+      
+      case 'list_files': {
+        const dir = resolveProjectPath(params.path);
+        if (!USE_GIT) {
+          const prefix = dir === '.' ? '' : `${dir}${path.sep}`;
+          const found = (await listProjectFiles()).filter(file => file.startsWith(prefix));
+          return limitToolOutput(found.join('\n') || 'No files found');
+        }
+        const { stdout } = await execFilePromise('git', ['ls-files', '--', dir]);
+        return limitToolOutput(stdout || 'No files found');
+      }
+      
+      case 'grep': {
+        const target = resolveProjectPath(params.path);
+        try {
+          const { stdout } = USE_GIT
+            ? await execFilePromise('git', ['grep', '-n', '-I', '-E', '-e', params.pattern, '--', target])
+            : await execFilePromise('grep', ['-r', '-n', '-I', '-E', `--exclude-dir=${path.basename(DATA_DIR)}`, '-e', params.pattern, '--', target]);
+          return limitToolOutput(stdout);
+        } catch (error) {
+          // grep exits with 1 when nothing matches
+          if (error.code === 1 && !error.stderr) return 'No matches found';
+          throw error;
+        }
+      }
+      
+      case 'run_command': {
+        const answer = await askQuestion(`${colors.brightYellow}LLM wants to run: ${params.command}\nAllow? [y/N] ${colors.reset}`);
+        if (!/^y(es)?$/i.test(answer)) {
+          return 'The user did not allow running this command';
+        }
+        const exit = await spawnCommand(params.command).result;
+        return `Command ${describeExit(exit)}\n${exit.output}`;
+      }
+      
+      default:
+        return `Error: Unknown tool ${call.function.name}`;
+    }
+  } catch (error) {
+    return `Error: ${error.message}`;
+  }
+}
+
+// Stream LLM response like streamLLM, but in agent mode let the LLM call tools
+// and feed their results back until it gives the final answer. Tool calls and
+// results are appended to messages.
+function streamAgent(messages, onText, onComplete, onError) {
+  const onData = (chunk) => {
+    emitEvent('delta', { text: chunk });
+    onText(chunk);
+  };
+  
+  if (!AGENT) {
+    return streamLLM(messages, onData, onComplete, onError);
+  }
+  
+  if (messages[0].role === 'system' && !messages[0].content.endsWith(AGENT_PROMPT)) {
+    messages[0] = { ...messages[0], content: messages[0].content + AGENT_PROMPT };
+  }
+  
+  let abortCurrent = () => {};
+  let aborted = false;
+  let step = 0;
+  
+  const nextStep = () => {
+    step++;
+    abortCurrent = streamLLM(messages, onData, async (response, toolCalls) => {
+      if (aborted) return;
+      
+      if (toolCalls.length === 0) {
+        onComplete(response);
+        return;
+      }
+      if (step >= MAX_AGENT_STEPS) {
+        onError(new Error(`Agent stopped after ${MAX_AGENT_STEPS} steps without final answer`));
+        return;
+      }
+      
+      if (response) process.stdout.write('\n');
+      messages.push({ role: 'assistant', content: response || null, tool_calls: toolCalls });
+      for (const call of toolCalls) {
+        const result = await executeTool(call);
+        if (aborted) return;
+        messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+      }
+      
+      nextStep();
+    }, onError, { tools: AGENT_TOOLS });
+  };
+  
+  nextStep();
+  
+  return () => {
+    aborted = true;
+    abortCurrent();
+  };
+}
+
+// Render streamed markdown for the terminal. When stdout is not a terminal, text is
+// written as it is.
+function createResponseRenderer(output = process.stdout) {
+  if (!RENDER_MARKDOWN || !output.isTTY || JSON_OUTPUT) {
+    return { write: (chunk) => output.write(chunk), end: () => {} };
+  }
+  return createMarkdownRenderer(output, colors);
+}
+
 // Ask about code and display the response
 async function askAboutCode(userPrompt) {
   try {
     let fullResponse = '';
     let isCancelled = false;
+    const renderer = createResponseRenderer();
     
     // Setup interrupt handling
-    const abortRequest = streamLLM(
+    const abortRequest = streamAgent(
       [
         { role: 'system', content: SYSTEM_PROMPT_CODE },
         { role: 'user', content: userPrompt }
       ],
       (chunk) => {
-        process.stdout.write(chunk);
+        renderer.write(chunk);
       },
       (response) => {
         fullResponse = response;
+        renderer.end();
         console.log('\n');
+        reportTurnUsage();
       },
       (error) => {
+        renderer.end();
         if (!isCancelled) {
           console.error('\nError:', error.message);
+          emitEvent('error', { message: error.message });
+          process.exitCode = EXIT_CODES.error;
         }
       }
     );
@@ -333,7 +1528,9 @@ async function askAboutCode(userPrompt) {
     const onSigInt = () => {
       isCancelled = true;
       abortRequest();
+      renderer.end();
       console.log('\n\n[Request cancelled]');
+      process.exitCode = EXIT_CODES.cancelled;
       process.removeListener('SIGINT', onSigInt);
     };
     
@@ -347,22 +1544,50 @@ async function askAboutCode(userPrompt) {
   }
 }
 
-// Generate commit message from LLM response
+// System prompts for commit message generation by commit style
+const COMMIT_STYLE_PROMPTS = {
+  short: 'Generate a concise and descriptive git commit message based on the changes. Keep it under 50 characters. Respond with the message only.',
+  conventional: 'Generate a git commit message in Conventional Commits format. The first line is type(scope): description, where type is one of feat, fix, refactor, docs, test, chore and scope is the affected module, keep it under 72 characters. After a blank line write a body explaining what changed and why, wrapped at 72 characters. Respond with the message only.',
+  detailed: 'Generate a git commit message with a summary line under 50 characters in imperative mood. After a blank line write a body explaining what changed and why, wrapped at 72 characters. Respond with the message only.'
+};
+
+// Generate commit message from LLM response, returns summary line and body
 async function generateCommitMessage(diff) {
   try {
     // System prompt for commit message generation
-    let commitSystemPrompt = 'Generate a concise and descriptive git commit message based on the changes. Keep it under 50 characters.';
+    let commitSystemPrompt = COMMIT_STYLE_PROMPTS[config.commitStyle];
     
     const response = await callLLM(commitSystemPrompt, `Summarize these changes in a git commit message:\n\n${diff}`);
-    return response.trim();
+    const lines = response.trim().replace(/^```\w*\n|\n```$/g, '').split('\n');
+    return { summary: lines[0].trim(), body: lines.slice(1).join('\n').trim() };
   } catch (error) {
-    console.error('Error generating commit message:', error.message);
-    return 'Changes from AI-coder';
+    console.error(`${colors.red}Error generating commit message: ${error.message}${colors.reset}`);
+    console.error(`${colors.yellow}Using fallback commit message${colors.reset}`);
+    return { summary: 'Changes from AI-coder', body: '' };
   }
 }
 
-// Parse and update files from LLM response
-function parseAndUpdateFiles(response) {
+// Build commit message from template, trailer identifying ai-coder commits goes last
+function formatCommitMessage({ summary, body }, originalPrompt, changedFiles) {
+  const values = { summary, body, prompt: originalPrompt, model: MODEL, files: changedFiles.join(', ') };
+  let template = config.commitTemplate;
+  if (config.commitIncludePrompt && !template.includes('{prompt}')) {
+    template += '\n\nOriginal prompt:\n\n{prompt}';
+  } else if (!config.commitIncludePrompt) {
+    values.prompt = '';
+  }
+  
+  let message = template.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+  // Empty variables leave blank paragraphs behind
+  message = message.replace(/\n{3,}/g, '\n\n').trim();
+  if (COMMIT_TRAILER) {
+    message += `\n\n${COMMIT_TRAILER}`;
+  }
+  return `${message}\n`;
+}
+
+// Parse whole-file blocks (filename followed by ``` fenced content)
+function parseWholeFiles(response) {
   const fileUpdates = [];
   
   // Regular expression to find files in the response
@@ -379,120 +1604,1291 @@ function parseAndUpdateFiles(response) {
   return fileUpdates;
 }
 
-// Create git commit based on LLM response
-async function createCommit(userPrompt, originalPrompt) {
-  try {
-    let fullResponse = '';
-    let isCancelled = false;
+// Parse SEARCH/REPLACE blocks, the filename is the nearest line above each block
+function parseSearchReplaceBlocks(response) {
+  const blocks = [];
+  const errors = [];
+  const lines = response.split('\n');
+  let lastFilename = null;
+  
+  for (let i = 0; i < lines.length; i++) {
+    if (!/^<{5,9} SEARCH\s*$/.test(lines[i])) continue;
     
-    console.log(`${colors.green}Generating changes...${colors.reset}`);
+    // Find filename, skipping blank lines and code fences
+    let j = i - 1;
+    while (j >= 0 && (!lines[j].trim() || lines[j].trim().startsWith('```'))) j--;
+    let filename = j >= 0 ? lines[j].trim() : null;
+    if (filename && /^>{5,9} REPLACE\s*$/.test(filename)) {
+      filename = lastFilename;
+    }
+    if (filename) {
+      filename = filename.replace(/^[`*]+|[`*:]+$/g, '').trim();
+    }
     
-    // Setup interrupt handling
-    const abortRequest = streamLLM(
-      [
-        { role: 'system', content: SYSTEM_PROMPT_COMMIT },
-        { role: 'user', content: userPrompt }
-      ],
-      (chunk) => {
-        process.stdout.write(chunk);
-        fullResponse += chunk;
-      },
-      async (response) => {
-        console.log('\n');
-        
-        // Parse file updates from response
-        const fileUpdates = parseAndUpdateFiles(response);
-        
-        if (fileUpdates.length === 0) {
-          console.error(`${colors.red}No valid file updates found in the response${colors.reset}`);
-          return;
-        }
-        
-        // Update files
-        let changedFiles = [];
-        for (let update of fileUpdates) {
-          try {
-            const fileExists = fs.existsSync(update.filename);
-            let oldContent = '';
-            
-            if (fileExists) {
-              oldContent = fs.readFileSync(update.filename, 'utf8');
-            }
-            
-            if (!fileExists || oldContent !== update.content) {
-              // Ensure the directory exists for the file
-              const dir = path.dirname(update.filename);
-              if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-              }
-              
-              fs.writeFileSync(update.filename, update.content, 'utf8');
-              changedFiles.push(update.filename);
-              console.log(`${colors.green}${fileExists ? 'Updated' : 'Created'} ${update.filename}${colors.reset}`);
-            } else {
-              console.log(`${colors.yellow}No changes to ${update.filename}${colors.reset}`);
-            }
-          } catch (error) {
-            console.error(`${colors.red}Error processing ${update.filename}: ${error.message}${colors.reset}`);
-          }
-        }
-        
-        if (changedFiles.length === 0) {
-          console.log(`${colors.yellow}No files were changed.${colors.reset}`);
-          return;
-        }
-        
-        // Get git diff
-        const { stdout: diff } = await execPromise(`git diff HEAD ${changedFiles.join(' ')}`);
-        
-        // Add new files to git
-        for (const file of changedFiles) {
-          try {
-            await execPromise(`git add "${file}"`);
-          } catch (error) {
-            console.error(`${colors.red}Error adding file to git: ${error.message}${colors.reset}`);
-          }
-        }
-        
-        // Generate commit message
-        console.log(`${colors.gray}Generating commit message...${colors.reset}`);
-        const summary = await generateCommitMessage(diff);
-        
-        // Format full commit message
-        const commitMessage = `${summary}\n\nOriginal prompt:\n\n${originalPrompt}`;
-        
-        // Create git commit
-        try {
-          const { stdout, stderr } = await execPromise('git commit -F -', commitMessage);
-          console.log(`${colors.green}Git commit created successfully:${colors.reset}`);
-          console.log(stdout);
-          if (stderr) console.error(stderr);
-        } catch (error) {
-          console.error(`${colors.red}Error creating git commit: ${error.message}${colors.reset}`);
-        }
-      },
-      (error) => {
-        if (!isCancelled) {
-          console.error(`\n${colors.red}Error: ${error.message}${colors.reset}`);
-        }
+    // Collect SEARCH and REPLACE sections
+    const searchLines = [];
+    const replaceLines = [];
+    let section = searchLines;
+    let closed = false;
+    let k = i + 1;
+    for (; k < lines.length; k++) {
+      if (section === searchLines && /^={5,9}\s*$/.test(lines[k])) {
+        section = replaceLines;
+      } else if (section === replaceLines && /^>{5,9} REPLACE\s*$/.test(lines[k])) {
+        closed = true;
+        break;
+      } else {
+        section.push(lines[k]);
       }
-    );
+    }
     
-    // Handle Ctrl+C
-    const onSigInt = () => {
-      isCancelled = true;
-      abortRequest();
-      console.log(`\n\n${colors.red}[Request cancelled]${colors.reset}`);
-      process.removeListener('SIGINT', onSigInt);
-    };
+    if (!filename || !closed) {
+      errors.push({ filename: filename || '(unknown)', message: 'Malformed SEARCH/REPLACE block' });
+      break;
+    }
     
-    process.on('SIGINT', onSigInt);
+    blocks.push({ filename, search: searchLines, replace: replaceLines });
+    lastFilename = filename;
+    i = k;
+  }
+  
+  return { blocks, errors };
+}
+
+// Find search lines in content lines, optionally ignoring whitespace differences.
+// Positions closest to the hint line are tried first.
+function findLines(contentLines, searchLines, normalize, hint = 0) {
+  const lastStart = contentLines.length - searchLines.length;
+  hint = Math.max(0, Math.min(hint, lastStart));
+  
+  for (let distance = 0; distance <= lastStart; distance++) {
+    for (const i of distance === 0 ? [hint] : [hint - distance, hint + distance]) {
+      if (i < 0 || i > lastStart) continue;
+      
+      let matched = true;
+      for (let j = 0; j < searchLines.length; j++) {
+        if (normalize(contentLines[i + j]) !== normalize(searchLines[j])) {
+          matched = false;
+          break;
+        }
+      }
+      if (matched) return i;
+    }
+  }
+  return -1;
+}
+
+// Find all positions of search lines in content lines
+function findAllLines(contentLines, searchLines, normalize) {
+  const positions = [];
+  for (let i = 0; i <= contentLines.length - searchLines.length; i++) {
+    if (searchLines.every((line, j) => normalize(contentLines[i + j]) === normalize(line))) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+// Apply one SEARCH/REPLACE block to file content, returns { content } or { error }
+// if SEARCH doesn't match or matches several places
+function applySearchReplace(content, searchLines, replaceLines) {
+  // Empty SEARCH creates a file or appends to it
+  if (searchLines.every(line => !line.trim())) {
+    const addition = replaceLines.join('\n') + '\n';
+    if (!content) return { content: addition };
+    return { content: content.endsWith('\n') ? content + addition : `${content}\n${addition}` };
+  }
+  
+  const contentLines = content.split('\n');
+  
+  // Exact match first, then with whitespace ignored. Ambiguous SEARCH is rejected,
+  // replacing the first match could change the wrong place.
+  const exact = findAllLines(contentLines, searchLines, line => line);
+  const matches = exact.length > 0 ? exact : findAllLines(contentLines, searchLines, line => line.trim());
+  if (matches.length === 0) {
+    return { error: 'SEARCH text does not match the file' };
+  }
+  if (matches.length > 1) {
+    const lines = matches.map(index => index + 1).join(', ');
+    return { error: `SEARCH text matches ${matches.length} places in the file (lines ${lines}), include more lines to make it unique` };
+  }
+  
+  const index = matches[0];
+  let newLines = replaceLines;
+  
+  // Fix up replacement indentation when whitespace was ignored
+  if (exact.length === 0) {
+    const first = searchLines.findIndex(line => line.trim());
+    const actualIndent = contentLines[index + first].match(/^\s*/)[0];
+    const searchIndent = searchLines[first].match(/^\s*/)[0];
+    if (actualIndent.startsWith(searchIndent)) {
+      const extra = actualIndent.slice(searchIndent.length);
+      newLines = replaceLines.map(line => line.trim() ? extra + line : line);
+    } else if (searchIndent.startsWith(actualIndent)) {
+      const excess = searchIndent.length - actualIndent.length;
+      newLines = replaceLines.map(line => line.replace(new RegExp(`^\\s{0,${excess}}`), ''));
+    }
+  }
+  
+  contentLines.splice(index, searchLines.length, ...newLines);
+  return { content: contentLines.join('\n') };
+}
+
+// Strip a/ b/ prefixes and timestamps from unified diff file headers
+function parseDiffPath(header) {
+  const filename = header.replace(/\t.*$/, '').trim();
+  if (filename === '/dev/null') return null;
+  return filename.replace(/^[ab]\//, '');
+}
+
+// Parse unified diffs into per-file lists of hunks
+function parseUnifiedDiffs(response) {
+  const patches = [];
+  const lines = response.split('\n');
+  let patch = null;
+  let hunk = null;
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
     
-    return fullResponse;
+    if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+      const oldPath = parseDiffPath(line.substring(4));
+      const newPath = parseDiffPath(lines[i + 1].substring(4));
+      patch = {
+        filename: newPath || oldPath,
+        isNew: oldPath === null,
+        isDeleted: newPath === null,
+        hunks: []
+      };
+      patches.push(patch);
+      hunk = null;
+      i++;
+      continue;
+    }
+    
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/) || line.match(/^@@.*@@/);
+    if (patch && header) {
+      hunk = { header: header[0], oldStart: header[1] ? parseInt(header[1]) : 0, oldLines: [], newLines: [] };
+      patch.hunks.push(hunk);
+      continue;
+    }
+    
+    if (!hunk) continue;
+    
+    if (line.startsWith(' ') || line === '') {
+      hunk.oldLines.push(line.substring(1));
+      hunk.newLines.push(line.substring(1));
+    } else if (line.startsWith('-')) {
+      hunk.oldLines.push(line.substring(1));
+    } else if (line.startsWith('+')) {
+      hunk.newLines.push(line.substring(1));
+    } else if (!line.startsWith('\\')) {
+      // Anything else (closing ``` or prose) ends the hunk
+      hunk = null;
+    }
+  }
+  
+  // Blank lines right after a hunk are usually separators, not context
+  for (const { hunks } of patches) {
+    for (const h of hunks) {
+      while (h.oldLines.length && h.newLines.length &&
+             h.oldLines[h.oldLines.length - 1] === '' && h.newLines[h.newLines.length - 1] === '') {
+        h.oldLines.pop();
+        h.newLines.pop();
+      }
+    }
+  }
+  
+  return patches;
+}
+
+// Apply one hunk to content lines, trimming up to two outer context lines if the full hunk doesn't match
+function applyHunk(contentLines, hunk, hint) {
+  for (let fuzz = 0; fuzz <= 2; fuzz++) {
+    let oldLines = hunk.oldLines;
+    let newLines = hunk.newLines;
+    let leading = 0;
+    let trailing = 0;
+    
+    if (fuzz > 0) {
+      // Only unchanged context lines may be dropped
+      while (leading < fuzz && leading < oldLines.length && oldLines[leading] === newLines[leading]) leading++;
+      while (trailing < fuzz && trailing < oldLines.length - leading &&
+             oldLines[oldLines.length - 1 - trailing] === newLines[newLines.length - 1 - trailing]) trailing++;
+      if (leading + trailing === 0) break;
+      oldLines = oldLines.slice(leading, oldLines.length - trailing);
+      newLines = newLines.slice(leading, newLines.length - trailing);
+    }
+    
+    if (oldLines.length === 0) {
+      contentLines.splice(Math.min(hint, contentLines.length), 0, ...newLines);
+      return true;
+    }
+    
+    let index = findLines(contentLines, oldLines, line => line, hint + leading);
+    if (index === -1) {
+      index = findLines(contentLines, oldLines, line => line.trim(), hint + leading);
+    }
+    if (index !== -1) {
+      contentLines.splice(index, oldLines.length, ...newLines);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+// Apply unified diffs from LLM response to files, reporting hunks that don't apply
+function applyUnifiedDiffs(response) {
+  const errors = [];
+  const contents = new Map();
+  // Files with failed hunks stay unchanged, half applied changes would break them
+  const rejected = new Set();
+  
+  for (const patch of parseUnifiedDiffs(response)) {
+    const pathError = checkWritePath(patch.filename);
+    if (pathError) {
+      errors.push({ filename: patch.filename, message: pathError });
+      continue;
+    }
+    if (rejected.has(patch.filename)) {
+      errors.push({ filename: patch.filename, message: 'Diff was not applied, an earlier diff of the file failed' });
+      continue;
+    }
+    
+    let content = contents.get(patch.filename);
+    if (content === undefined) {
+      content = fs.existsSync(patch.filename) ? fs.readFileSync(patch.filename, 'utf8') : null;
+    }
+    
+    if (patch.isDeleted) {
+      if (content !== null) {
+        contents.set(patch.filename, null);
+      } else {
+        errors.push({ filename: patch.filename, message: 'Cannot delete missing file' });
+      }
+      continue;
+    }
+    
+    if (content === null && !patch.isNew) {
+      errors.push({ filename: patch.filename, message: 'File not found' });
+      continue;
+    }
+    // A diff creating the file would be spliced into the existing content
+    if (content !== null && patch.isNew) {
+      errors.push({ filename: patch.filename, message: 'File already exists, no changes were made to the file' });
+      continue;
+    }
+    
+    const contentLines = (content || '').split('\n');
+    let offset = 0;
+    let failed = false;
+    
+    for (const hunk of patch.hunks) {
+      const lengthBefore = contentLines.length;
+      if (applyHunk(contentLines, hunk, Math.max(0, hunk.oldStart - 1 + offset))) {
+        offset += contentLines.length - lengthBefore;
+      } else {
+        errors.push({ filename: patch.filename, message: `Hunk ${hunk.header} does not match the file, no changes were made to the file`, search: hunk.oldLines.join('\n') });
+        failed = true;
+      }
+    }
+    
+    if (failed) {
+      rejected.add(patch.filename);
+      contents.delete(patch.filename);
+    } else if (patch.hunks.length > 0) {
+      contents.set(patch.filename, contentLines.join('\n'));
+    }
+  }
+  
+  const fileUpdates = [];
+  for (const [filename, content] of contents) {
+    fileUpdates.push(content === null ? { filename, content, deleted: true } : { filename, content });
+  }
+  
+  return { fileUpdates, errors };
+}
+
+// Parse and update files from LLM response
+function parseAndUpdateFiles(response) {
+  if (EDIT_FORMAT === 'whole') {
+    const fileUpdates = [];
+    const errors = [];
+    for (const update of parseWholeFiles(response)) {
+      const pathError = checkWritePath(update.filename);
+      if (pathError) {
+        errors.push({ filename: update.filename, message: pathError });
+      } else {
+        fileUpdates.push(update);
+      }
+    }
+    return { fileUpdates, errors };
+  }
+  
+  if (EDIT_FORMAT === 'udiff') {
+    return applyUnifiedDiffs(response);
+  }
+  
+  const { blocks, errors } = parseSearchReplaceBlocks(response);
+  const contents = new Map();
+  
+  // Apply blocks in order, several blocks may target the same file
+  for (const block of blocks) {
+    const pathError = checkWritePath(block.filename);
+    if (pathError) {
+      errors.push({ filename: block.filename, message: pathError });
+      continue;
+    }
+    
+    let content = contents.get(block.filename);
+    if (content === undefined) {
+      content = fs.existsSync(block.filename) ? fs.readFileSync(block.filename, 'utf8') : null;
+    }
+    
+    const isCreate = block.search.every(line => !line.trim());
+    if (content === null && !isCreate) {
+      errors.push({ filename: block.filename, message: 'File not found', search: block.search.join('\n') });
+      continue;
+    }
+    
+    const result = applySearchReplace(content || '', block.search, block.replace);
+    if (result.error) {
+      errors.push({ filename: block.filename, message: result.error, search: block.search.join('\n') });
+      continue;
+    }
+    
+    contents.set(block.filename, result.content);
+  }
+  
+  const fileUpdates = [];
+  for (const [filename, content] of contents) {
+    fileUpdates.push({ filename, content });
+  }
+  
+  return { fileUpdates, errors };
+}
+
+// Compute line diff operations (' ', '-', '+') using longest common subsequence
+function diffLines(oldLines, newLines) {
+  // Skip common prefix and suffix to keep the LCS table small
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const ops = oldLines.slice(0, start).map(line => [' ', line]);
+  
+  if (a.length * b.length > 25000000) {
+    // Too big for LCS, show as full replacement
+    a.forEach(line => ops.push(['-', line]));
+    b.forEach(line => ops.push(['+', line]));
+  } else {
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push([' ', a[i++]]);
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        ops.push(['-', a[i++]]);
+      } else {
+        ops.push(['+', b[j++]]);
+      }
+    }
+    while (i < a.length) ops.push(['-', a[i++]]);
+    while (j < b.length) ops.push(['+', b[j++]]);
+  }
+  
+  oldLines.slice(oldEnd).forEach(line => ops.push([' ', line]));
+  return ops;
+}
+
+// Create unified diff text for a file, null content means the file doesn't exist
+function createUnifiedDiff(filename, oldContent, newContent, context = 3) {
+  const toLines = (content) => content ? content.replace(/\n$/, '').split('\n') : [];
+  const ops = diffLines(toLines(oldContent), toLines(newContent));
+  
+  // Number lines so hunk headers can be built
+  let oldNo = 1;
+  let newNo = 1;
+  for (const op of ops) {
+    op.push(oldNo, newNo);
+    if (op[0] !== '+') oldNo++;
+    if (op[0] !== '-') newNo++;
+  }
+  
+  const output = [
+    `--- ${oldContent === null ? '/dev/null' : `a/${filename}`}`,
+    `+++ ${newContent === null ? '/dev/null' : `b/${filename}`}`
+  ];
+  
+  const changes = ops.map((op, idx) => op[0] !== ' ' ? idx : -1).filter(idx => idx !== -1);
+  let c = 0;
+  while (c < changes.length) {
+    // Group changes which are close enough to share context
+    let last = c;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= context * 2) last++;
+    const from = Math.max(0, changes[c] - context);
+    const to = Math.min(ops.length, changes[last] + context + 1);
+    const hunk = ops.slice(from, to);
+    
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+    const oldStart = oldCount ? hunk[0][2] : hunk[0][2] - 1;
+    const newStart = newCount ? hunk[0][3] : hunk[0][3] - 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => output.push(op[0] + op[1]));
+    
+    c = last + 1;
+  }
+  
+  return output.join('\n') + '\n';
+}
+
+// Add ANSI colors to unified diff text
+function colorizeDiff(diff) {
+  return diff.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return `${colors.brightBlue}${line}${colors.reset}`;
+    if (line.startsWith('@@')) return `${colors.cyan}${line}${colors.reset}`;
+    if (line.startsWith('+')) return `${colors.green}${line}${colors.reset}`;
+    if (line.startsWith('-')) return `${colors.red}${line}${colors.reset}`;
+    return line;
+  }).join('\n');
+}
+
+// Show colored diff of file updates against files on disk
+function showFileUpdatesDiff(fileUpdates) {
+  for (const update of fileUpdates) {
+    const oldContent = fs.existsSync(update.filename) ? fs.readFileSync(update.filename, 'utf8') : null;
+    if (oldContent === update.content) {
+      console.log(`${colors.yellow}No changes to ${update.filename}${colors.reset}`);
+      continue;
+    }
+    console.log(colorizeDiff(createUnifiedDiff(update.filename, oldContent, update.content).trimEnd()));
+  }
+}
+
+// Ask the user a question on the terminal. Stdin may already be consumed by the prompt,
+// so /dev/tty is used in that case. Resolves to empty string when there is no terminal.
+let questionHandler = null;
+function askQuestion(question) {
+  if (questionHandler) {
+    return questionHandler(question);
+  }
+  
+  return new Promise((resolve) => {
+    const input = process.stdin.isTTY ? process.stdin : fs.createReadStream('/dev/tty');
+    const rl = readline.createInterface({ input, output: process.stdout, terminal: false });
+    
+    let answered = false;
+    const finish = (answer) => {
+      if (answered) return;
+      answered = true;
+      rl.close();
+      if (input !== process.stdin) input.destroy();
+      resolve(answer.trim());
+    };
+    
+    // No terminal to ask, treat as empty answer
+    rl.on('error', () => finish(''));
+    process.stdout.write(question);
+    rl.once('line', finish);
+    rl.once('close', () => finish(''));
+  });
+}
+
+// Paths the LLM may never write, relative to repository root
+const BUILTIN_PROTECTED_PATHS = ['.git', '.ai-coder'];
+
+// Convert glob pattern to regular expression, ** matches across directories
+function globToRegExp(glob, ignoreCase = false) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" may also match no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+}
+
+// Check if relative path matches glob pattern. Like in .gitignore, patterns without
+// slash match names in any directory and matching a directory matches everything in it.
+// Case is ignored, on macOS and Windows file systems .GIT is the same directory as .git.
+function matchesGlob(file, glob) {
+  const parts = file.split(path.sep).join('/').split('/');
+  glob = glob.replace(/^\.?\/|\/$/g, '');
+  const regex = globToRegExp(glob, true);
+  
+  for (let i = 0; i < parts.length; i++) {
+    const candidate = glob.includes('/') ? parts.slice(0, i + 1).join('/') : parts[i];
+    if (regex.test(candidate)) return true;
+  }
+  return false;
+}
+
+// Check if file looks binary, it has a NUL byte near the start
+function isBinaryFile(file) {
+  const buffer = Buffer.alloc(8000);
+  const fd = fs.openSync(file, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Root of the git repository, or current directory outside of git
+let repoRoot = null;
+function getRepoRoot() {
+  if (!repoRoot) {
+    try {
+      repoRoot = execFileSync('git', ['rev-parse', '--show-toplevel'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      repoRoot = process.cwd();
+    }
+    repoRoot = fs.realpathSync(repoRoot);
+  }
+  return repoRoot;
+}
+
+// Resolve path following symlinks, also for files which don't exist yet
+function realPath(file) {
+  const resolved = path.resolve(file);
+  if (fs.existsSync(resolved)) return fs.realpathSync(resolved);
+  const parent = path.dirname(resolved);
+  return parent === resolved ? resolved : path.join(realPath(parent), path.basename(resolved));
+}
+
+// Check if the LLM may write or delete a file, returns reason when it may not
+function checkWritePath(filename) {
+  const relative = path.relative(getRepoRoot(), realPath(filename));
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return 'Path is outside of the repository';
+  }
+  
+  if (READ_ONLY_FILES.some(file => path.resolve(file) === path.resolve(filename))) {
+    return 'File is read-only';
+  }
+  
+  const protectedPath = [...BUILTIN_PROTECTED_PATHS, ...PROTECTED_PATHS].find(glob => matchesGlob(relative, glob));
+  if (protectedPath) {
+    return `Path is protected (${protectedPath})`;
+  }
+  
+  if (fs.existsSync(filename) && fs.statSync(filename).isFile() && isBinaryFile(filename)) {
+    return 'Binary files cannot be edited';
+  }
+  
+  return null;
+}
+
+// Ask user to confirm creating and deleting files, edits of existing files don't need
+// confirmation. Returns updates which may be written and errors for refused ones.
+async function confirmFileUpdates(fileUpdates) {
+  const allowed = [];
+  const errors = [];
+  
+  for (const update of fileUpdates) {
+    const action = update.deleted ? 'Delete' : fs.existsSync(update.filename) ? null : 'Create';
+    if (!action || AUTO_CONFIRM) {
+      allowed.push(update);
+      continue;
+    }
+    
+    const answer = await askQuestion(`${colors.brightYellow}${action} ${update.filename}? [y/N] ${colors.reset}`);
+    if (/^y(es)?$/i.test(answer.trim())) {
+      allowed.push(update);
+    } else {
+      errors.push({ filename: update.filename, message: `${action} was refused by the user` });
+    }
+  }
+  
+  return { fileUpdates: allowed, errors };
+}
+
+// Describe edits which weren't applied, so the LLM knows about them
+function formatEditErrors(errors) {
+  return `These edits were not applied:\n${errors.map(error => `- ${error.filename}: ${error.message}`).join('\n')}`;
+}
+
+// Write file updates to disk, returns list of changed files. Original files are
+// saved to backup first, if given.
+function writeFileUpdates(fileUpdates, backup = null) {
+  let changedFiles = [];
+  for (let update of fileUpdates) {
+    try {
+      const fileExists = fs.existsSync(update.filename);
+      let oldContent = '';
+      
+      if (update.deleted) {
+        if (backup) backup.save(update.filename);
+        fs.unlinkSync(update.filename);
+        changedFiles.push(update.filename);
+        console.log(`${colors.green}Deleted ${update.filename}${colors.reset}`);
+        emitEvent('file_written', { file: update.filename, action: 'deleted' });
+        continue;
+      }
+      
+      if (fileExists) {
+        oldContent = fs.readFileSync(update.filename, 'utf8');
+      }
+      
+      if (!fileExists || oldContent !== update.content) {
+        // Ensure the directory exists for the file
+        const dir = path.dirname(update.filename);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        
+        if (backup) backup.save(update.filename);
+        fs.writeFileSync(update.filename, update.content, 'utf8');
+        changedFiles.push(update.filename);
+        console.log(`${colors.green}${fileExists ? 'Updated' : 'Created'} ${update.filename}${colors.reset}`);
+        emitEvent('file_written', { file: update.filename, action: fileExists ? 'updated' : 'created' });
+      } else {
+        console.log(`${colors.yellow}No changes to ${update.filename}${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error processing ${update.filename}: ${error.message}${colors.reset}`);
+    }
+  }
+  
+  return changedFiles;
+}
+
+// Files with uncommitted changes the user agreed to let ai-coder edit anyway
+const acceptedDirtyFiles = new Set();
+
+// Check files for uncommitted changes before ai-coder edits them, so they don't get
+// mixed into its commit. Offers to stash them (if allowed), abort or continue.
+// Returns whether to go on.
+async function checkDirtyFiles(files, allowStash) {
+  if (!USE_GIT) return true;
+  files = files.filter(file => !acceptedDirtyFiles.has(file));
+  if (files.length === 0) return true;
+  
+  let status;
+  try {
+    ({ stdout: status } = await execFilePromise('git', ['status', '--porcelain', '--', ...files]));
+  } catch (error) {
+    debug('Cannot check worktree status:', error.message);
+    return true;
+  }
+  if (!status.trim()) return true;
+  
+  console.log(`${colors.yellow}These files have uncommitted changes, which would end up in the ai-coder commit:${colors.reset}`);
+  console.log(status.trimEnd());
+  
+  const choices = allowStash ? '[s]tash, [a]bort or [c]ontinue' : '[a]bort or [c]ontinue';
+  const answer = AUTO_CONFIRM ? 'c' : (await askQuestion(`${colors.brightYellow}${choices}? ${colors.reset}`)).trim().toLowerCase();
+  
+  if (allowStash && /^s(tash)?$/.test(answer)) {
+    await execFilePromise('git', ['stash', 'push', '--include-untracked', '-m', 'ai-coder: changes stashed before edit', '--', ...files]);
+    console.log(`${colors.green}Changes stashed, restore them with git stash pop${colors.reset}`);
+    return true;
+  }
+  if (/^c(ontinue)?$/.test(answer)) {
+    files.forEach(file => acceptedDirtyFiles.add(file));
+    return true;
+  }
+  
+  console.log(`${colors.yellow}Aborted${colors.reset}`);
+  return false;
+}
+
+// Add changed files to git and commit them with generated message, returns
+// SHA of the new commit or null when committing failed
+async function commitChanges(changedFiles, originalPrompt) {
+  // Get git diff
+  const { stdout: diff } = await execFilePromise('git', ['diff', 'HEAD', '--', ...changedFiles]);
+  
+  // Add new files to git
+  for (const file of changedFiles) {
+    try {
+      await execFilePromise('git', ['add', '--', file]);
+    } catch (error) {
+      console.error(`${colors.red}Error adding file to git: ${error.message}${colors.reset}`);
+    }
+  }
+  
+  // Generate commit message
+  console.log(`${colors.gray}Generating commit message...${colors.reset}`);
+  const generated = await generateCommitMessage(diff);
+  
+  // Format full commit message
+  const commitMessage = formatCommitMessage(generated, originalPrompt, changedFiles);
+  
+  // Create git commit with only the changed files, other staged changes stay staged
+  try {
+    const { stdout, stderr } = await execFilePromise('git', ['commit', '-F', '-', '--', ...changedFiles], commitMessage);
+    console.log(`${colors.green}Git commit created successfully:${colors.reset}`);
+    console.log(stdout);
+    if (stderr) console.error(stderr);
+  } catch (error) {
+    console.error(`${colors.red}Error creating git commit: ${error.message}${colors.reset}`);
+    emitEvent('error', { message: `Error creating git commit: ${error.message}` });
+    return null;
+  }
+  
+  const { stdout: sha } = await execPromise('git rev-parse HEAD');
+  emitEvent('commit', { sha: sha.trim(), files: changedFiles });
+  return sha.trim();
+}
+
+// Report edits from LLM response which couldn't be applied
+function reportEditErrors(errors) {
+  for (const error of errors) {
+    console.error(`${colors.red}Failed to apply edit to ${error.filename}: ${error.message}${colors.reset}`);
+    emitEvent('edit_error', { file: error.filename, message: error.message });
+    if (error.search) {
+      console.error(`${colors.gray}${error.search}${colors.reset}`);
+    }
+  }
+}
+
+// Emit edits parsed from LLM response with their diffs in JSON mode
+function emitEdits(fileUpdates) {
+  if (!JSON_OUTPUT) return;
+  for (const update of fileUpdates) {
+    const oldContent = fs.existsSync(update.filename) ? fs.readFileSync(update.filename, 'utf8') : null;
+    emitEvent('edit', {
+      file: update.filename,
+      action: update.deleted ? 'delete' : oldContent === null ? 'create' : 'update',
+      diff: createUnifiedDiff(update.filename, oldContent, update.deleted ? null : update.content)
+    });
+  }
+}
+
+// Keep the last lines of long output, test failures are usually summarized at the end
+function truncateOutput(output, maxLines = 200) {
+  const lines = output.trimEnd().split('\n');
+  if (lines.length <= maxLines) return lines.join('\n');
+  return `... (${lines.length - maxLines} lines omitted)\n${lines.slice(-maxLines).join('\n')}`;
+}
+
+// Run configured test command with live output, returns whether it passed, how it
+// ended, its output (long output is cut in the middle) and whether Ctrl+C stopped it
+async function runTests() {
+  console.log(`${colors.gray}Running tests: ${TEST_COMMAND}${colors.reset}`);
+  const { result, kill } = spawnCommand(TEST_COMMAND);
+  
+  // Tests run in their own process group, Ctrl+C wouldn't reach them
+  let interrupted = false;
+  const onSigInt = () => {
+    interrupted = true;
+    kill();
+  };
+  process.on('SIGINT', onSigInt);
+  const exit = await result;
+  process.removeListener('SIGINT', onSigInt);
+  
+  return { passed: exit.exitCode === 0 && !exit.timedOut, status: describeExit(exit), output: exit.output, interrupted };
+}
+
+// Stream LLM response to stdout, resolves with the full response
+function streamResponse(messages) {
+  return new Promise((resolve, reject) => {
+    streamAgent(messages, (chunk) => process.stdout.write(chunk), resolve, reject);
+  });
+}
+
+// Run tests on written changes and feed failures back to the LLM until they pass
+// or fix attempts run out. Returns all changed files and whether tests pass.
+async function testAndFix(changedFiles, messages, backup = null) {
+  const allChangedFiles = new Set(changedFiles);
+  let editErrors = [];
+  
+  for (let attempt = 1; ; attempt++) {
+    const { passed, status, output, interrupted } = await runTests();
+    if (passed) {
+      console.log(`${colors.green}Tests passed${colors.reset}`);
+      return { passed, changedFiles: [...allChangedFiles] };
+    }
+    
+    console.log(`${colors.red}Tests failed, the command ${status}${colors.reset}`);
+    
+    if (attempt > MAX_FIX_ATTEMPTS || interrupted) {
+      return { passed, changedFiles: [...allChangedFiles] };
+    }
+    
+    console.log(`${colors.yellow}Asking LLM to fix the failure (attempt ${attempt} of ${MAX_FIX_ATTEMPTS})...${colors.reset}`);
+    const filesContent = await readFiles([...allChangedFiles].filter(file => fs.existsSync(file)));
+    messages.push({
+      role: 'user',
+      content: `The command \`${TEST_COMMAND}\` ${status} after your changes:\n\`\`\`\n${truncateOutput(output)}\n\`\`\`\n\n` +
+        (editErrors.length > 0 ? `${formatEditErrors(editErrors)}\n\n` : '') +
+        `Fix the problem.\n\nCurrent files:\n${filesContent}`
+    });
+    
+    let response;
+    try {
+      response = await streamResponse(messages);
+    } catch (error) {
+      console.error(`\n${colors.red}Error: ${error.message}${colors.reset}`);
+      return { passed, changedFiles: [...allChangedFiles] };
+    }
+    console.log('\n');
+    messages.push({ role: 'assistant', content: response });
+    
+    const parsed = parseAndUpdateFiles(response);
+    emitEdits(parsed.fileUpdates);
+    const confirmed = await confirmFileUpdates(parsed.fileUpdates);
+    editErrors = [...parsed.errors, ...confirmed.errors];
+    reportEditErrors(editErrors);
+    writeFileUpdates(confirmed.fileUpdates, backup).forEach(file => allChangedFiles.add(file));
+  }
+}
+
+// Write file updates, run tests if configured and commit them. Messages are the
+// conversation which produced the updates, used to ask the LLM for fixes.
+// Errors list updates the user refused to create or delete. Status is one of
+// aborted, unchanged, tests-failed, written, committed or commit-failed.
+async function applyFileUpdates(fileUpdates, originalPrompt, messages = []) {
+  // Changes were made from current file contents, stashing them now would be wrong
+  if (!await checkDirtyFiles(fileUpdates.map(update => update.filename), false)) {
+    return { changedFiles: [], committed: false, errors: [], status: 'aborted' };
+  }
+  
+  const confirmed = await confirmFileUpdates(fileUpdates);
+  const errors = confirmed.errors;
+  reportEditErrors(errors);
+  
+  // Outside of git original files are backed up, so changes can be undone
+  const backup = USE_GIT ? null : createBackup(originalPrompt);
+  let changedFiles = writeFileUpdates(confirmed.fileUpdates, backup);
+  
+  if (changedFiles.length === 0) {
+    console.log(`${colors.yellow}No files were changed.${colors.reset}`);
+    return { changedFiles, committed: false, errors, status: 'unchanged' };
+  }
+  
+  if (TEST_COMMAND) {
+    const result = await testAndFix(changedFiles, messages, backup);
+    changedFiles = result.changedFiles;
+    
+    if (!result.passed) {
+      console.error(`${colors.red}Giving up: \`${TEST_COMMAND}\` still fails after ${MAX_FIX_ATTEMPTS} fix attempt(s).${colors.reset}`);
+      if (backup) {
+        backup.finish();
+        console.error(`${colors.yellow}Changes to ${changedFiles.join(', ')} were kept, revert them with undo.${colors.reset}`);
+      } else {
+        console.error(`${colors.yellow}Changes to ${changedFiles.join(', ')} were left uncommitted, review them with git diff.${colors.reset}`);
+      }
+      emitEvent('error', { message: `\`${TEST_COMMAND}\` still fails after ${MAX_FIX_ATTEMPTS} fix attempt(s)` });
+      return { changedFiles, committed: false, errors, status: 'tests-failed' };
+    }
+  }
+  
+  if (backup) {
+    backup.finish();
+    console.log(`${colors.green}Changes recorded in ${path.join(DATA_DIR, HISTORY_DIR, CHANGELOG_FILE)}${colors.reset}`);
+    return { changedFiles, committed: false, errors, status: 'written' };
+  }
+  
+  if (!AUTO_COMMIT) {
+    console.log(`${colors.yellow}Changes were written without committing them${colors.reset}`);
+    return { changedFiles, committed: false, errors, status: 'written' };
+  }
+  
+  const sha = await commitChanges(changedFiles, originalPrompt);
+  return { changedFiles, committed: Boolean(sha), errors, status: sha ? 'committed' : 'commit-failed' };
+}
+
+// Generate changes with LLM and commit them. In review mode the parsed file updates
+// are returned without being written, so the caller can show them and apply later.
+// Errors list edits which were not applied, including refused ones. Status is one
+// of applyFileUpdates statuses, or cancelled, error, no-changes or review.
+function createCommit(userPrompt, originalPrompt) {
+  return new Promise((resolve) => {
+    let fullResponse = '';
+    let isCancelled = false;
+    
+    console.log(`${colors.green}Generating changes...${colors.reset}`);
+    
+    // Handle Ctrl+C
+    const onSigInt = () => {
+      isCancelled = true;
+      abortRequest();
+      console.log(`\n\n${colors.red}[Request cancelled]${colors.reset}`);
+      process.removeListener('SIGINT', onSigInt);
+      resolve({ response: fullResponse, fileUpdates: [], changedFiles: [], committed: false, status: 'cancelled' });
+    };
+    
+    const messages = [
+      { role: 'system', content: SYSTEM_PROMPT_COMMIT },
+      { role: 'user', content: userPrompt }
+    ];
+    
+    const abortRequest = streamAgent(
+      messages,
+      (chunk) => {
+        process.stdout.write(chunk);
+        fullResponse += chunk;
+      },
+      async (response) => {
+        process.removeListener('SIGINT', onSigInt);
+        console.log('\n');
+        
+        messages.push({ role: 'assistant', content: response });
+        
+        try {
+          // Parse file updates from response
+          const { fileUpdates, errors } = parseAndUpdateFiles(response);
+          emitEdits(fileUpdates);
+          
+          // Report edits which couldn't be applied
+          reportEditErrors(errors);
+          
+          if (fileUpdates.length === 0) {
+            console.error(`${colors.red}No valid file updates found in the response${colors.reset}`);
+            resolve({ response, messages, fileUpdates, changedFiles: [], committed: false, errors, status: 'no-changes' });
+            return;
+          }
+          
+          if (REVIEW) {
+            resolve({ response, messages, fileUpdates, changedFiles: [], committed: false, errors, status: 'review' });
+            return;
+          }
+          
+          const result = await applyFileUpdates(fileUpdates, originalPrompt, messages);
+          resolve({ response, messages, fileUpdates, changedFiles: result.changedFiles, committed: result.committed, errors: [...errors, ...result.errors], status: result.status });
+        } catch (error) {
+          console.error(`${colors.red}Error creating commit: ${error.message}${colors.reset}`);
+          debug('Stack trace:', error.stack);
+          emitEvent('error', { message: `Error creating commit: ${error.message}` });
+          resolve({ response, messages, fileUpdates: [], changedFiles: [], committed: false, status: 'error' });
+        }
+      },
+      (error) => {
+        process.removeListener('SIGINT', onSigInt);
+        if (!isCancelled) {
+          console.error(`\n${colors.red}Error: ${error.message}${colors.reset}`);
+          emitEvent('error', { message: error.message });
+        }
+        resolve({ response: fullResponse, fileUpdates: [], changedFiles: [], committed: false, status: isCancelled ? 'cancelled' : 'error' });
+      }
+    );
+    
+    process.on('SIGINT', onSigInt);
+  });
+}
+
+// Backups of files edited outside of git, one directory per applied change
+const HISTORY_DIR = 'history';
+const CHANGELOG_FILE = 'changelog.md';
+
+// Hash of file content, null for missing file
+function hashFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// Start backup of files changed by one prompt. Files are saved by save() before
+// they are first written, finish() records their new state in the changelog.
+// Nothing is stored until the first file is saved.
+function createBackup(prompt) {
+  const date = new Date().toISOString();
+  const id = date.replace(/[:.]/g, '-');
+  const dir = path.join(DATA_DIR, HISTORY_DIR, id);
+  const manifest = { id, date, prompt, files: [] };
+  const writeManifest = () => fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  
+  return {
+    save(filename) {
+      if (manifest.files.some(file => file.path === filename)) return;
+      if (manifest.files.length === 0) {
+        getDataDir(HISTORY_DIR);
+        fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+      }
+      const existed = fs.existsSync(filename);
+      if (existed) {
+        const target = path.join(dir, 'files', filename);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(filename, target);
+      }
+      manifest.files.push({ path: filename, existed });
+      writeManifest();
+    },
+    finish() {
+      if (manifest.files.length === 0) return;
+      manifest.files.forEach(file => file.hash = hashFile(file.path));
+      writeManifest();
+      const files = manifest.files.map(file => `${file.path} (${!file.hash ? 'deleted' : file.existed ? 'updated' : 'created'})`);
+      appendChangelog(`## ${date}\n\nPrompt: ${prompt}\n\nFiles: ${files.join(', ')}\n\nBackup: ${id}\n`);
+    }
+  };
+}
+
+function appendChangelog(entry) {
+  fs.appendFileSync(path.join(getDataDir(HISTORY_DIR), CHANGELOG_FILE), `${entry}\n`, 'utf8');
+}
+
+// Restore files from the last backup which wasn't undone yet. Returns info about
+// the undone change, in the same form as undoLastCommit, or null.
+async function undoLastBackup() {
+  const historyDir = path.join(DATA_DIR, HISTORY_DIR);
+  const manifests = (fs.existsSync(historyDir) ? fs.readdirSync(historyDir) : [])
+    .filter(id => fs.existsSync(path.join(historyDir, id, 'manifest.json')))
+    .sort()
+    .map(id => JSON.parse(fs.readFileSync(path.join(historyDir, id, 'manifest.json'), 'utf8')))
+    .filter(manifest => !manifest.undone && manifest.files.length > 0);
+  
+  const manifest = manifests[manifests.length - 1];
+  if (!manifest) {
+    console.error(`${colors.red}No changes made by ai-coder to undo${colors.reset}`);
+    return null;
+  }
+  
+  // Files edited after ai-coder wrote them would lose those edits
+  const modified = manifest.files.filter(file => hashFile(file.path) !== file.hash);
+  if (modified.length > 0) {
+    console.error(`${colors.red}Files were changed since ai-coder wrote them, refusing to undo: ${modified.map(file => file.path).join(', ')}${colors.reset}`);
+    return null;
+  }
+  
+  try {
+    for (const file of manifest.files) {
+      if (file.existed) {
+        fs.mkdirSync(path.dirname(path.resolve(file.path)), { recursive: true });
+        fs.copyFileSync(path.join(historyDir, manifest.id, 'files', file.path), file.path);
+      } else if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+  } catch (error) {
+    console.error(`${colors.red}Error restoring backup ${manifest.id}: ${error.message}${colors.reset}`);
+    return null;
+  }
+  
+  manifest.undone = true;
+  fs.writeFileSync(path.join(historyDir, manifest.id, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  appendChangelog(`## ${new Date().toISOString()}\n\nUndid change from backup ${manifest.id}\n`);
+  
+  const subject = manifest.prompt.split('\n')[0];
+  console.log(`${colors.green}Undid change ${manifest.id}: ${subject}${colors.reset}`);
+  return { sha: manifest.id, subject, files: manifest.files.map(file => file.path) };
+}
+
+// Revert the last commit made by ai-coder, keeping unrelated local changes. Outside
+// of git the last backup is restored instead. Returns info about the undone commit
+// or null if it can't be undone safely.
+async function undoLastCommit() {
+  if (!USE_GIT) {
+    return undoLastBackup();
+  }
+  
+  if (!COMMIT_TRAILER) {
+    console.error(`${colors.red}No commit trailer is configured, commits made by ai-coder can't be recognized${colors.reset}`);
+    return null;
+  }
+  
+  try {
+    const { stdout: message } = await execPromise('git log -1 --format=%B HEAD');
+    const { stdout: trailers } = await execPromise('git interpret-trailers --parse', message);
+    if (!trailers.split('\n').includes(COMMIT_TRAILER)) {
+      console.error(`${colors.red}The last commit was not made by ai-coder, nothing to undo${colors.reset}`);
+      return null;
+    }
+    
+    try {
+      await execPromise('git rev-parse --verify --quiet HEAD~1');
+    } catch (error) {
+      console.error(`${colors.red}Cannot undo the initial commit${colors.reset}`);
+      return null;
+    }
+    
+    const { stdout: remoteBranches } = await execPromise('git branch -r --contains HEAD');
+    if (remoteBranches.trim()) {
+      console.error(`${colors.red}The last commit was already pushed to ${remoteBranches.trim().split(/\s+/).join(', ')}, refusing to undo${colors.reset}`);
+      return null;
+    }
+    
+    // Files touched by the commit must not have local edits, they would be lost
+    const { stdout: touched } = await execFilePromise('git', ['diff-tree', '-z', '--no-commit-id', '--name-only', '-r', 'HEAD']);
+    const touchedFiles = touched.split('\0').filter(Boolean);
+    if (touchedFiles.length > 0) {
+      const { stdout: status } = await execFilePromise('git', ['status', '--porcelain', '--', ...touchedFiles]);
+      if (status.trim()) {
+        console.error(`${colors.red}Uncommitted changes in files touched by the last commit, refusing to undo:${colors.reset}`);
+        console.error(status.trimEnd());
+        return null;
+      }
+    }
+    
+    const { stdout: info } = await execPromise('git log -1 --format=%h%n%s HEAD');
+    const [sha, subject] = info.trim().split('\n');
+    
+    await execPromise('git reset --keep HEAD~1');
+    console.log(`${colors.green}Undid commit ${sha}: ${subject}${colors.reset}`);
+    return { sha, subject, files: touchedFiles };
+  } catch (error) {
+    console.error(`${colors.red}Error undoing commit: ${error.message}${colors.reset}`);
+    return null;
+  }
+}
+
+// Branch the current task runs on, with base branch and optional worktree
+let taskBranch = null;
+
+// Start a task on a fresh branch. With worktree the branch is checked out in a
+// temporary directory and ai-coder moves there, so the main checkout isn't touched.
+async function startTaskBranch(name, useWorktree) {
+  if (!USE_GIT) {
+    console.error(`${colors.red}Branches need a git repository${colors.reset}`);
+    return false;
+  }
+  if (taskBranch) {
+    console.error(`${colors.red}Already working on branch ${taskBranch.name}, use /merge or /discard first${colors.reset}`);
+    return false;
+  }
+  
+  try {
+    await execFilePromise('git', ['check-ref-format', '--branch', name]);
+    const { stdout: base } = await execFilePromise('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
+    const branch = { name, base: base.trim(), worktree: null, originalDir: process.cwd() };
+    
+    if (useWorktree) {
+      // Keep the same subdirectory inside the worktree, file paths are relative to it
+      const { stdout: prefix } = await execFilePromise('git', ['rev-parse', '--show-prefix']);
+      branch.worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-coder-worktree-'));
+      await execFilePromise('git', ['worktree', 'add', '-b', name, branch.worktree]);
+      process.chdir(path.join(branch.worktree, prefix.trim()));
+      repoRoot = null;
+      console.log(`${colors.green}Working on branch ${name} in worktree ${branch.worktree}${colors.reset}`);
+    } else {
+      await execFilePromise('git', ['switch', '-c', name]);
+      console.log(`${colors.green}Working on branch ${name}, based on ${branch.base}${colors.reset}`);
+    }
+    
+    taskBranch = branch;
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error creating branch ${name}: ${(error.stderr || error.message).trim()}${colors.reset}`);
+    return false;
+  }
+}
+
+// Uncommitted changes on the task branch (in its worktree if there is one) as
+// git status lines, empty when there are none. Untracked files only count in a
+// worktree, in the main checkout they stay when switching branches.
+async function getTaskBranchChanges() {
+  const { stdout } = await execFilePromise('git', ['status', '--porcelain', ...(taskBranch.worktree ? [] : ['--untracked-files=no'])]);
+  return stdout.trimEnd();
+}
+
+// Go back from task branch to the base branch, leaving the worktree if there is one.
+// Uncommitted changes are only thrown away with force, git refuses otherwise.
+async function leaveTaskBranch(force = false) {
+  if (taskBranch.worktree) {
+    await execFilePromise('git', ['-C', taskBranch.originalDir, 'worktree', 'remove', ...(force ? ['--force'] : []), taskBranch.worktree]);
+    process.chdir(taskBranch.originalDir);
+    repoRoot = null;
+  } else {
+    await execFilePromise('git', ['switch', ...(force ? ['--discard-changes'] : []), taskBranch.base]);
+  }
+}
+
+// Merge task branch into its base branch and delete it. Returns whether it was merged.
+async function mergeTaskBranch() {
+  if (!taskBranch) {
+    console.error(`${colors.red}No task branch, start one with /branch <name>${colors.reset}`);
+    return false;
+  }
+  
+  const { name, base } = taskBranch;
+  try {
+    // Only commits are merged, anything uncommitted would be lost or carried over to base
+    const changes = await getTaskBranchChanges();
+    if (changes) {
+      console.error(`${colors.red}Branch ${name} has uncommitted changes, commit or remove them before merging:${colors.reset}`);
+      console.error(changes);
+      return false;
+    }
+    await leaveTaskBranch();
+  } catch (error) {
+    console.error(`${colors.red}Cannot switch back to ${base}: ${(error.stderr || error.message).trim()}${colors.reset}`);
+    return false;
+  }
+  taskBranch = null;
+  
+  try {
+    const { stdout } = await execFilePromise('git', ['merge', '--no-edit', name]);
+    console.log(stdout.trimEnd());
+    await execFilePromise('git', ['branch', '-d', name]);
+    console.log(`${colors.green}Merged ${name} into ${base}${colors.reset}`);
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Merging ${name} failed: ${(error.stdout || error.stderr || error.message).trim()}${colors.reset}`);
+    try {
+      await execFilePromise('git', ['merge', '--abort']);
+    } catch (abortError) {
+      debug('Nothing to abort:', abortError.message);
+    }
+    console.error(`${colors.yellow}Branch ${name} was kept, merge it by hand${colors.reset}`);
+    return false;
+  }
+}
+
+// Throw the task branch away with its commits. Returns whether it was discarded.
+async function discardTaskBranch() {
+  if (!taskBranch) {
+    console.error(`${colors.red}No task branch, start one with /branch <name>${colors.reset}`);
+    return false;
+  }
+  
+  const { name, base } = taskBranch;
+  const { stdout: commits } = await execFilePromise('git', ['rev-list', '--count', `${base}..${name}`]);
+  const changes = await getTaskBranchChanges();
+  if (changes) {
+    console.log(`${colors.yellow}Uncommitted changes on branch ${name} will be lost:${colors.reset}`);
+    console.log(changes);
+  }
+  if (!AUTO_CONFIRM) {
+    const answer = await askQuestion(`${colors.brightYellow}Discard branch ${name} with ${commits.trim()} commit(s)${changes ? ' and uncommitted changes' : ''}? [y/N] ${colors.reset}`);
+    if (!/^y(es)?$/i.test(answer.trim())) return false;
+  }
+  
+  try {
+    await leaveTaskBranch(true);
+    taskBranch = null;
+    await execFilePromise('git', ['branch', '-D', name]);
+    console.log(`${colors.green}Discarded branch ${name}, back on ${base}${colors.reset}`);
+    return true;
   } catch (error) {
-    console.error(`${colors.red}Error creating commit: ${error.message}${colors.reset}`);
-    debug('Stack trace:', error.stack);
-    return '';
+    console.error(`${colors.red}Error discarding branch ${name}: ${(error.stderr || error.message).trim()}${colors.reset}`);
+    return false;
   }
 }
 
@@ -514,6 +2910,155 @@ function execPromise(command, input = undefined) {
   });
 }
 
+// Maximum characters of command output kept for the LLM, split between head and tail
+const MAX_COMMAND_OUTPUT = 20000;
+
+// Collect output keeping only its head and tail once it gets too long
+function createOutputCapture(limit = MAX_COMMAND_OUTPUT) {
+  let head = '';
+  let tail = '';
+  let omitted = 0;
+  
+  return {
+    write(text) {
+      if (head.length < limit / 2) {
+        const free = limit / 2 - head.length;
+        head += text.slice(0, free);
+        text = text.slice(free);
+      }
+      tail += text;
+      if (tail.length > limit / 2) {
+        omitted += tail.length - limit / 2;
+        tail = tail.slice(-limit / 2);
+      }
+    },
+    toString() {
+      return omitted > 0 ? `${head}\n... (${omitted} characters omitted)\n${tail}` : head + tail;
+    }
+  };
+}
+
+// Run shell command showing its output live. Returns the running command with
+// kill() and a promise resolving with exit code, captured output and whether it
+// was killed because of timeout, it never rejects.
+function spawnCommand(command, timeoutSeconds = RUN_TIMEOUT) {
+  // Own process group, so kill() also stops processes started by the command
+  const child = spawn(command, { shell: true, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+  const output = createOutputCapture();
+  let timedOut = false;
+  let exited = false;
+  let forceKillTimer = null;
+  
+  const kill = () => {
+    if (exited) return;
+    try {
+      process.kill(-child.pid, 'SIGTERM');
+      forceKillTimer = setTimeout(() => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          debug('Cannot kill command:', error.message);
+        }
+      }, 2000);
+    } catch (error) {
+      debug('Cannot kill command:', error.message);
+    }
+  };
+  
+  const timeoutTimer = timeoutSeconds > 0 ? setTimeout(() => {
+    timedOut = true;
+    kill();
+  }, timeoutSeconds * 1000) : null;
+  
+  child.stdout.on('data', (data) => {
+    process.stdout.write(data);
+    output.write(data.toString());
+  });
+  child.stderr.on('data', (data) => {
+    process.stderr.write(data);
+    output.write(data.toString());
+  });
+  
+  const result = new Promise((resolve) => {
+    const finish = (exitCode, signal, error) => {
+      if (exited) return;
+      exited = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(forceKillTimer);
+      if (error) output.write(error.message);
+      resolve({ exitCode, signal, timedOut, output: output.toString() });
+    };
+    child.on('error', (error) => finish(null, null, error));
+    child.on('close', (exitCode, signal) => finish(exitCode, signal));
+  });
+  
+  return { result, kill };
+}
+
+// Describe how the command ended, for the user and the LLM
+function describeExit({ exitCode, signal, timedOut }, timeoutSeconds = RUN_TIMEOUT) {
+  if (timedOut) return `was killed after ${timeoutSeconds}s timeout`;
+  if (signal) return `was killed by ${signal}`;
+  return `exited with code ${exitCode}`;
+}
+
+// Project-local directory for ai-coder data, ignored by git. Resolved at start,
+// so data stays in the main checkout when working in a worktree.
+const DATA_DIR = path.resolve('.ai-coder');
+
+// Each REPL run is saved automatically to its own session, the file named
+// latest in the sessions directory holds the name of the last one for --resume
+const LATEST_SESSION_FILE = 'latest';
+
+// Name of the automatically saved session of a new REPL run
+function newAutosaveName() {
+  return `autosave-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+// Get (and create) the data directory or its subdirectory
+function getDataDir(name = '') {
+  const dir = path.join(DATA_DIR, name);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(DATA_DIR, '.gitignore'), '*\n', 'utf8');
+  }
+  return dir;
+}
+
+// Save REPL session state to a named file
+function saveSession(name, session) {
+  const file = path.join(getDataDir('sessions'), `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify({ ...session, savedAt: new Date().toISOString() }, null, 2), 'utf8');
+  return file;
+}
+
+// Load REPL session state, returns null if there is no such session
+function loadSession(name) {
+  if (!/^[\w.-]+$/.test(name)) return null;
+  const file = path.join(DATA_DIR, 'sessions', `${name}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Remember session as the one to resume
+function setLatestSession(name) {
+  fs.writeFileSync(path.join(getDataDir('sessions'), LATEST_SESSION_FILE), `${name}\n`, 'utf8');
+}
+
+// Name of the session to resume, null if no session was saved automatically yet
+function getLatestSession() {
+  const file = path.join(DATA_DIR, 'sessions', LATEST_SESSION_FILE);
+  if (!fs.existsSync(file)) return null;
+  return fs.readFileSync(file, 'utf8').trim();
+}
+
+// List names of saved sessions
+function listSessions() {
+  const dir = path.join(DATA_DIR, 'sessions');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+}
+
 const startReplSession = async (initialFiles) => {
   let activeFiles = [...initialFiles];
   const conversationHistory = [];
@@ -524,62 +3069,137 @@ const startReplSession = async (initialFiles) => {
     terminal: true
   });
   
+  // Ask questions through REPL readline, it owns stdin
+  questionHandler = (question) => new Promise(resolve => rl.question(question, resolve));
+  
   let isProcessing = false;
+  let pendingChanges = null;
+  
+  // Restore session state, skipping files which no longer exist
+  const restoreSession = (name) => {
+    const session = loadSession(name);
+    if (!session) {
+      console.log(`${colors.red}Session not found: ${name}${colors.reset}`);
+      return false;
+    }
+    
+    const readOnlyFiles = session.readOnlyFiles || [];
+    const missing = [...session.activeFiles, ...readOnlyFiles].filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+      console.log(`${colors.yellow}Skipping missing files: ${missing.join(', ')}${colors.reset}`);
+    }
+    activeFiles = session.activeFiles.filter(file => fs.existsSync(file));
+    READ_ONLY_FILES = readOnlyFiles.filter(file => fs.existsSync(file));
+    conversationHistory.splice(0, conversationHistory.length, ...session.conversationHistory);
+    MODEL = session.model || MODEL;
+    Object.assign(sessionUsage, session.usage);
+    
+    console.log(`${colors.green}Loaded session ${name} (${conversationHistory.length} messages, model ${MODEL})${colors.reset}`);
+    return true;
+  };
+  
+  const storeSession = (name) => {
+    return saveSession(name, { model: MODEL, activeFiles, readOnlyFiles: READ_ONLY_FILES, conversationHistory, usage: sessionUsage });
+  };
+  
+  // Save session each time the prompt is shown, so it survives crashes. Nothing
+  // is saved before the first message, so an empty run does not become the latest.
+  let autosaveName = newAutosaveName();
+  const autosave = () => {
+    if (conversationHistory.length === 0) return;
+    try {
+      storeSession(autosaveName);
+      setLatestSession(autosaveName);
+    } catch (error) {
+      debug('Error saving session:', error.message);
+    }
+  };
+  
+  const showPrompt = () => {
+    reportTurnUsage();
+    autosave();
+    rl.prompt();
+  };
   
+  // Show editable and read-only files, numbered together for /drop
   const showFiles = () => {
-    if (activeFiles.length === 0) {
+    if (activeFiles.length === 0 && READ_ONLY_FILES.length === 0) {
       console.log(`${colors.yellow}No files in context${colors.reset}`);
-    } else {
+      return;
+    }
+    if (activeFiles.length > 0) {
       console.log(`${colors.green}Files in context:${colors.reset}`);
       activeFiles.forEach((file, idx) => {
         console.log(`${colors.gray}${idx + 1}.${colors.reset} ${file}`);
       });
     }
+    if (READ_ONLY_FILES.length > 0) {
+      console.log(`${colors.green}Read-only files:${colors.reset}`);
+      READ_ONLY_FILES.forEach((file, idx) => {
+        console.log(`${colors.gray}${activeFiles.length + idx + 1}.${colors.reset} ${file}`);
+      });
+    }
   };
   
-  const addFile = (filename) => {
-    if (!filename) {
+  // Add files, directories or glob patterns separated by spaces. Editable files
+  // go to activeFiles, read-only ones to READ_ONLY_FILES, a file is only in one list.
+  const addFile = async (arg, readOnly = false) => {
+    if (!arg) {
       console.log(`${colors.red}Please specify a file to add${colors.reset}`);
       return;
     }
     
-    if (!fs.existsSync(filename)) {
-      console.log(`${colors.red}File not found: ${filename}${colors.reset}`);
-      return;
-    }
-    
-    if (!activeFiles.includes(filename)) {
-      activeFiles.push(filename);
-      console.log(`${colors.green}Added ${filename} to context${colors.reset}`);
-    } else {
-      console.log(`${colors.yellow}${filename} is already in context${colors.reset}`);
+    const [target, other] = readOnly ? [READ_ONLY_FILES, activeFiles] : [activeFiles, READ_ONLY_FILES];
+    const label = readOnly ? 'as read-only' : 'to context';
+    for (const filename of await expandFilePatterns(arg.split(/\s+/))) {
+      if (other.includes(filename)) {
+        other.splice(other.indexOf(filename), 1);
+      } else if (target.includes(filename)) {
+        console.log(`${colors.yellow}${filename} is already in context${colors.reset}`);
+        continue;
+      }
+      target.push(filename);
+      console.log(`${colors.green}Added ${filename} ${label}${colors.reset}`);
     }
   };
   
+  // Drop files by index, name, directory or glob pattern
   const dropFile = (arg) => {
     if (!arg) {
       console.log(`${colors.red}Please specify a file to drop${colors.reset}`);
       return;
     }
     
-    // Check if arg is a number (index)
-    if (/^\d+$/.test(arg)) {
-      const idx = parseInt(arg) - 1;
-      if (idx >= 0 && idx < activeFiles.length) {
-        const removed = activeFiles.splice(idx, 1)[0];
-        console.log(`${colors.green}Removed ${removed} from context${colors.reset}`);
-      } else {
-        console.log(`${colors.red}Invalid file index${colors.reset}`);
+    // Resolve all arguments first, indexes refer to the list before dropping
+    const allFiles = [...activeFiles, ...READ_ONLY_FILES];
+    const dropped = new Set();
+    for (const pattern of arg.split(/\s+/)) {
+      if (/^\d+$/.test(pattern)) {
+        const idx = parseInt(pattern) - 1;
+        if (idx >= 0 && idx < allFiles.length) {
+          dropped.add(allFiles[idx]);
+        } else {
+          console.log(`${colors.red}Invalid file index: ${pattern}${colors.reset}`);
+        }
+        continue;
       }
-    } else {
-      // Treat as filename
-      const idx = activeFiles.indexOf(arg);
-      if (idx !== -1) {
-        activeFiles.splice(idx, 1);
-        console.log(`${colors.green}Removed ${arg} from context${colors.reset}`);
-      } else {
-        console.log(`${colors.red}File not in context: ${arg}${colors.reset}`);
+      
+      const normalized = path.normalize(pattern).split(path.sep).join('/').replace(/\/$/, '');
+      const regex = globToRegExp(normalized);
+      const matches = allFiles.filter(file => {
+        const name = path.normalize(file).split(path.sep).join('/');
+        return regex.test(name) || name.startsWith(`${normalized}/`);
+      });
+      if (matches.length === 0) {
+        console.log(`${colors.red}File not in context: ${pattern}${colors.reset}`);
       }
+      matches.forEach(file => dropped.add(file));
+    }
+    
+    for (const file of dropped) {
+      const list = activeFiles.includes(file) ? activeFiles : READ_ONLY_FILES;
+      list.splice(list.indexOf(file), 1);
+      console.log(`${colors.green}Removed ${file} from context${colors.reset}`);
     }
   };
   
@@ -589,27 +3209,35 @@ const startReplSession = async (initialFiles) => {
       return;
     }
     
-    console.log(`${colors.gray}Running: ${cmd}${colors.reset}`);
-    try {
-      const { stdout, stderr } = await execPromise(cmd);
-      
-      console.log(`${colors.brightBlue}=== Command Output ===${colors.reset}`);
-      if (stdout) console.log(stdout);
-      if (stderr) console.error(`${colors.red}${stderr}${colors.reset}`);
-      console.log(`${colors.brightBlue}=== End Output ===${colors.reset}`);
-      
-      // Add command and output to conversation history
-      conversationHistory.push({ 
-        role: 'user', 
-        content: `I ran this command: \`${cmd}\`\n\nOutput:\n\`\`\`\n${stdout}${stderr ? '\nError: ' + stderr : ''}\n\`\`\`` 
-      });
-    } catch (error) {
-      console.error(`${colors.red}Command failed: ${error.message}${colors.reset}`);
-      conversationHistory.push({ 
-        role: 'user', 
-        content: `I ran this command: \`${cmd}\`\n\nThe command failed with error:\n\`\`\`\n${error.message}\n\`\`\`` 
-      });
-    }
+    console.log(`${colors.gray}Running: ${cmd} (Ctrl+C to stop)${colors.reset}`);
+    console.log(`${colors.brightBlue}=== Command Output ===${colors.reset}`);
+    
+    // Ctrl+C stops only the command, not the REPL
+    const { result, kill } = spawnCommand(cmd);
+    const onSigInt = () => {
+      console.log(`\n${colors.red}[Stopping command]${colors.reset}`);
+      kill();
+    };
+    rl.on('SIGINT', onSigInt);
+    process.on('SIGINT', onSigInt);
+    const exit = await result;
+    rl.removeListener('SIGINT', onSigInt);
+    process.removeListener('SIGINT', onSigInt);
+    
+    const status = describeExit(exit);
+    const statusColor = exit.exitCode === 0 ? colors.brightBlue : colors.red;
+    console.log(`${statusColor}=== End Output (${status}) ===${colors.reset}`);
+    
+    const answer = await askQuestion(`${colors.brightYellow}Add output to the conversation? [Y/n] ${colors.reset}`);
+    if (/^n(o)?$/i.test(answer.trim())) return;
+    
+    // Add command, exit status and output to conversation history
+    conversationHistory.push({ 
+      role: 'user', 
+      content: `I ran this command: \`${cmd}\`\n\nIt ${status}. Output:\n\`\`\`\n${exit.output.trimEnd()}\n\`\`\``,
+      kind: 'command',
+      compacted: `I ran this command: \`${cmd}\`, it ${status} (old output omitted)`
+    });
   };
   
   const processMessage = async (prompt) => {
@@ -620,45 +3248,68 @@ const startReplSession = async (initialFiles) => {
         filesContent = await readFiles(activeFiles);
       }
       
+      const readOnlyContent = await readFiles(READ_ONLY_FILES);
+      const repoMap = await buildRepoMap([...activeFiles, ...READ_ONLY_FILES]);
+      
       // Construct user message
       let userMessage = prompt;
+      if (repoMap) {
+        userMessage += `\n\nRepository map:\n${repoMap}`;
+      }
+      if (readOnlyContent) {
+        userMessage += `\n\n${READ_ONLY_HEADING}\n${readOnlyContent}`;
+      }
       if (filesContent) {
         userMessage += `\n\nCurrent files:\n${filesContent}`;
       }
       
-      // Add user message to conversation history
-      conversationHistory.push({ role: 'user', content: userMessage });
+      // Add user message to conversation history, file snapshots get stale and can be compacted later
+      if (userMessage !== prompt) {
+        conversationHistory.push({ 
+          role: 'user', 
+          content: userMessage, 
+          kind: 'files', 
+          compacted: `${prompt}\n\n(old file contents omitted)` 
+        });
+      } else {
+        conversationHistory.push({ role: 'user', content: userMessage });
+      }
+      
+      compactHistory(conversationHistory, estimateTokens(SYSTEM_PROMPT_CODE));
       
       // Prepare messages for LLM
       const messages = [
         { role: 'system', content: SYSTEM_PROMPT_CODE },
-        ...conversationHistory
+        ...toApiMessages(conversationHistory)
       ];
       
       // Make LLM request with streaming
       let fullResponse = '';
       let isCancelled = false;
       
-      const abortRequest = streamLLM(
+      const renderer = createResponseRenderer();
+      const abortRequest = streamAgent(
         messages,
         (chunk) => {
-          process.stdout.write(chunk);
+          renderer.write(chunk);
           fullResponse += chunk;
         },
         (response) => {
+          renderer.end();
           console.log('\n');
           isProcessing = false;
-          rl.prompt();
+          showPrompt();
           
           // Add assistant response to conversation history
           conversationHistory.push({ role: 'assistant', content: response });
         },
         (error) => {
+          renderer.end();
           if (!isCancelled) {
             console.error(`\n${colors.red}Error: ${error.message}${colors.reset}`);
           }
           isProcessing = false;
-          rl.prompt();
+          showPrompt();
         }
       );
       
@@ -667,9 +3318,10 @@ const startReplSession = async (initialFiles) => {
         if (isProcessing) {
           isCancelled = true;
           abortRequest();
+          renderer.end();
           console.log(`\n\n${colors.red}[Request cancelled]${colors.reset}`);
           isProcessing = false;
-          rl.prompt();
+          showPrompt();
         } else {
           // If not processing, exit on Ctrl+C
           rl.close();
@@ -680,50 +3332,201 @@ const startReplSession = async (initialFiles) => {
     } catch (error) {
       console.error(`${colors.red}Error processing message: ${error.message}${colors.reset}`);
       isProcessing = false;
-      rl.prompt();
+      showPrompt();
     }
   };
   
   const processCommit = async (prompt) => {
     try {
+      // Check files before reading them, so stashed changes don't reach the LLM
+      if (!await checkDirtyFiles(activeFiles, true)) {
+        isProcessing = false;
+        showPrompt();
+        return;
+      }
+      
       // Prepare file contents
       let filesContent = '';
       if (activeFiles.length > 0) {
         filesContent = await readFiles(activeFiles);
       }
       
+      const readOnlyContent = await readFiles(READ_ONLY_FILES);
+      const repoMap = await buildRepoMap([...activeFiles, ...READ_ONLY_FILES]);
+      
       // Construct user message
       let userMessage = `Make the following changes:\n${prompt}\n\n`;
+      if (repoMap) {
+        userMessage += `Repository map:\n${repoMap}\n\n`;
+      }
+      if (readOnlyContent) {
+        userMessage += `${READ_ONLY_HEADING}\n${readOnlyContent}\n\n`;
+      }
       if (filesContent) {
         userMessage += `Current files:\n${filesContent}`;
       }
       
       // Create commit
       isProcessing = true;
-      await createCommit(userMessage, prompt);
+      const { fileUpdates, messages, changedFiles, committed, errors = [] } = await createCommit(userMessage, prompt);
       
       // Add both request and imagined response to history
       conversationHistory.push({ role: 'user', content: `Please make the following code changes: ${prompt}` });
-      conversationHistory.push({ 
-        role: 'assistant', 
-        content: `I've committed the changes you requested. Let me know if you need further adjustments.` 
-      });
+      if (REVIEW && fileUpdates.length > 0) {
+        if (pendingChanges) {
+          console.log(`${colors.yellow}Previous pending changes were replaced${colors.reset}`);
+        }
+        pendingChanges = { fileUpdates, prompt, messages };
+        console.log(`${colors.brightYellow}Changes to ${fileUpdates.length} file(s) are pending review. Use /diff, /apply or /reject${colors.reset}`);
+        conversationHistory.push({ 
+          role: 'assistant', 
+          content: `I've proposed the changes you requested, they are waiting for your review.` 
+        });
+      } else if (committed) {
+        conversationHistory.push({ 
+          role: 'assistant', 
+          content: `I've committed the changes you requested. Let me know if you need further adjustments.` 
+        });
+      } else if ((!AUTO_COMMIT || !USE_GIT) && changedFiles.length > 0) {
+        conversationHistory.push({ 
+          role: 'assistant', 
+          content: `I've written the changes you requested to ${changedFiles.join(', ')}${USE_GIT ? ', they are not committed' : ''}.` 
+        });
+      } else {
+        conversationHistory.push({ 
+          role: 'assistant', 
+          content: `I tried to make the changes you requested, but they were not committed.` 
+        });
+      }
+      if (errors.length > 0) {
+        conversationHistory.push({ role: 'user', content: formatEditErrors(errors) });
+      }
       
       isProcessing = false;
-      rl.prompt();
+      showPrompt();
     } catch (error) {
       console.error(`${colors.red}Error processing commit: ${error.message}${colors.reset}`);
       isProcessing = false;
-      rl.prompt();
+      showPrompt();
+    }
+  };
+  
+  const showPendingChanges = () => {
+    if (!pendingChanges) {
+      console.log(`${colors.yellow}No pending changes${colors.reset}`);
+      return;
+    }
+    showFileUpdatesDiff(pendingChanges.fileUpdates);
+  };
+  
+  const applyPendingChanges = async () => {
+    if (!pendingChanges) {
+      console.log(`${colors.yellow}No pending changes${colors.reset}`);
+      return;
+    }
+    
+    const { fileUpdates, prompt, messages } = pendingChanges;
+    pendingChanges = null;
+    const { changedFiles, committed, errors } = await applyFileUpdates(fileUpdates, prompt, messages);
+    if (errors.length > 0) {
+      conversationHistory.push({ role: 'user', content: formatEditErrors(errors) });
+    }
+    // Without auto commit or git written changes stay uncommitted on purpose
+    if (!committed && ((AUTO_COMMIT && USE_GIT) || changedFiles.length === 0)) return;
+    conversationHistory.push({ 
+      role: 'user', 
+      content: `I've reviewed and applied your proposed changes to: ${changedFiles.join(', ')}` 
+    });
+  };
+  
+  const showTokens = async () => {
+    const filesTokens = activeFiles.length > 0 ? estimateTokens(await readFiles(activeFiles)) : 0;
+    const readOnlyTokens = estimateTokens(await readFiles(READ_ONLY_FILES));
+    const mapTokens = estimateTokens(await buildRepoMap([...activeFiles, ...READ_ONLY_FILES]));
+    const systemTokens = estimateTokens(SYSTEM_PROMPT_CODE);
+    
+    // Group history by kind of message
+    const groups = { chat: { label: 'Conversation', tokens: 0, count: 0 },
+                     files: { label: 'File snapshots', tokens: 0, count: 0 },
+                     command: { label: 'Command output', tokens: 0, count: 0 } };
+    for (const message of conversationHistory) {
+      const group = groups[message.kind] || groups.chat;
+      group.tokens += estimateTokens(message.content);
+      group.count++;
+    }
+    
+    const total = systemTokens + filesTokens + readOnlyTokens + mapTokens + countHistoryTokens(conversationHistory);
+    const limit = getContextLimit();
+    
+    console.log(`${colors.brightBlue}Estimated tokens for next message:${colors.reset}`);
+    console.log(`  System prompt:      ${systemTokens}`);
+    for (const group of Object.values(groups)) {
+      console.log(`  ${(group.label + ':').padEnd(19)} ${group.tokens} ${colors.gray}(${group.count} messages)${colors.reset}`);
+    }
+    console.log(`  Files in context:   ${filesTokens} ${colors.gray}(${activeFiles.length} files)${colors.reset}`);
+    console.log(`  Read-only files:    ${readOnlyTokens} ${colors.gray}(${READ_ONLY_FILES.length} files)${colors.reset}`);
+    console.log(`  Repository map:     ${mapTokens}`);
+    console.log(`  ${colors.cyan}Total:              ${total} / ${limit} (${Math.round(total / limit * 100)}%)${colors.reset}`);
+  };
+  
+  const showCost = () => {
+    const project = loadProjectUsage();
+    
+    console.log(`${colors.brightBlue}Token usage and cost:${colors.reset}`);
+    console.log(`  Session:  ${formatUsage(sessionUsage)} ${colors.gray}(${sessionUsage.requests} requests)${colors.reset}`);
+    console.log(`  Project:  ${formatUsage(project)} ${colors.gray}(${project.requests} requests)${colors.reset}`);
+    for (const [model, totals] of Object.entries(project.models)) {
+      console.log(`    ${colors.gray}${model}: ${formatUsage(totals)}${colors.reset}`);
+    }
+    if (SESSION_BUDGET > 0) {
+      console.log(`  Session budget: $${sessionUsage.cost.toFixed(4)} of $${SESSION_BUDGET}`);
     }
+    if (PROJECT_BUDGET > 0) {
+      console.log(`  Project budget: $${project.cost.toFixed(4)} of $${PROJECT_BUDGET}`);
+    }
+  };
+  
+  const undoCommit = async () => {
+    const undone = await undoLastCommit();
+    if (!undone) return;
+    
+    // Let the LLM know its changes are gone
+    conversationHistory.push({ 
+      role: 'user', 
+      content: `I've undone your commit "${undone.subject}". Its changes to ${undone.files.join(', ')} no longer exist, the files are back to their previous state.` 
+    });
+  };
+  
+  const rejectPendingChanges = () => {
+    if (!pendingChanges) {
+      console.log(`${colors.yellow}No pending changes${colors.reset}`);
+      return;
+    }
+    
+    const filenames = pendingChanges.fileUpdates.map(update => update.filename);
+    pendingChanges = null;
+    console.log(`${colors.green}Pending changes rejected${colors.reset}`);
+    conversationHistory.push({ 
+      role: 'user', 
+      content: `I've rejected your proposed changes to: ${filenames.join(', ')}. Those files were not modified.` 
+    });
   };
   
   // Show welcome message and initial files
   console.log(`${colors.brightBlue}Welcome to AI-Coder REPL${colors.reset}`);
-  console.log(`${colors.gray}Commands: /commit <prompt>, /run <command>, /add <file>, /drop <file>, /files, /help, /exit${colors.reset}`);
+  if (RESUME) {
+    // Keep saving to the resumed session
+    const latest = getLatestSession();
+    if (!latest) {
+      console.log(`${colors.yellow}No session to resume${colors.reset}`);
+    } else if (restoreSession(latest)) {
+      autosaveName = latest;
+    }
+  }
+  console.log(`${colors.gray}Commands: /commit <prompt>, /run <command>, /add <files>, /read <files>, /drop <files>, /files, /review, /agent, /diff, /apply, /reject, /undo, /branch, /merge, /discard, /tokens, /cost, /save, /load, /help, /exit${colors.reset}`);
   showFiles();
   
-  rl.prompt();
+  showPrompt();
   
   rl.on('line', async (line) => {
     if (isProcessing) {
@@ -742,30 +3545,171 @@ const startReplSession = async (initialFiles) => {
       console.log(`${colors.brightBlue}Available commands:${colors.reset}`);
       console.log(`  ${colors.cyan}/commit <prompt>${colors.reset} - Generate code changes and commit them`);
       console.log(`  ${colors.cyan}/run <command>${colors.reset} - Run a shell command and include output in conversation`);
-      console.log(`  ${colors.cyan}/add <file>${colors.reset} - Add a file to context`);
-      console.log(`  ${colors.cyan}/drop <file|index>${colors.reset} - Remove a file from context`);
+      console.log(`  ${colors.cyan}/add <files>${colors.reset} - Add files, directories or glob patterns (src/**/*.js) to context`);
+      console.log(`  ${colors.cyan}/read <files>${colors.reset} - Add files as read-only reference, the LLM may not edit them`);
+      console.log(`  ${colors.cyan}/drop <files|index>${colors.reset} - Remove files matching names or glob patterns from context`);
       console.log(`  ${colors.cyan}/files${colors.reset} - Show files in context`);
+      console.log(`  ${colors.cyan}/review${colors.reset} - Toggle review mode (hold changes until /apply)`);
+      console.log(`  ${colors.cyan}/agent${colors.reset} - Toggle agent mode (LLM may read files and run commands)`);
+      console.log(`  ${colors.cyan}/diff${colors.reset} - Show pending changes`);
+      console.log(`  ${colors.cyan}/apply${colors.reset} - Write and commit pending changes`);
+      console.log(`  ${colors.cyan}/reject${colors.reset} - Discard pending changes`);
+      console.log(`  ${colors.cyan}/undo${colors.reset} - Revert the last commit made by ai-coder (or restore the last backup without git)`);
+      console.log(`  ${colors.cyan}/branch <name> [--worktree]${colors.reset} - Continue work on a new branch, optionally in a temporary worktree`);
+      console.log(`  ${colors.cyan}/merge${colors.reset} - Merge the task branch back and delete it`);
+      console.log(`  ${colors.cyan}/discard${colors.reset} - Delete the task branch with its commits`);
+      console.log(`  ${colors.cyan}/tokens${colors.reset} - Show estimated token usage of the conversation`);
+      console.log(`  ${colors.cyan}/cost${colors.reset} - Show token usage and cost of session and project`);
+      console.log(`  ${colors.cyan}/save <name>${colors.reset} - Save session`);
+      console.log(`  ${colors.cyan}/load [name]${colors.reset} - Load saved session or list sessions`);
       console.log(`  ${colors.cyan}/help${colors.reset} - Show this help message`);
       console.log(`  ${colors.cyan}/exit${colors.reset} or ${colors.cyan}/quit${colors.reset} - Exit REPL`);
-      rl.prompt();
+      showPrompt();
       return;
     }
     
     if (input === '/files') {
       showFiles();
-      rl.prompt();
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/review') {
+      REVIEW = !REVIEW;
+      console.log(`${colors.green}Review mode ${REVIEW ? 'enabled' : 'disabled'}${colors.reset}`);
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/agent') {
+      if (!AGENT && getProvider() !== PROVIDERS.openai) {
+        console.log(`${colors.red}Agent mode needs an OpenAI-compatible API${colors.reset}`);
+      } else {
+        AGENT = !AGENT;
+        console.log(`${colors.green}Agent mode ${AGENT ? 'enabled' : 'disabled'}${colors.reset}`);
+      }
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/diff') {
+      showPendingChanges();
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/apply') {
+      isProcessing = true;
+      await applyPendingChanges();
+      isProcessing = false;
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/reject') {
+      rejectPendingChanges();
+      showPrompt();
+      return;
+    }
+    
+    if (input.startsWith('/save')) {
+      const name = input.substring(5).trim();
+      if (!/^[\w.-]+$/.test(name)) {
+        console.log(`${colors.red}Please specify a session name (letters, digits, . _ -)${colors.reset}`);
+      } else {
+        console.log(`${colors.green}Session saved to ${storeSession(name)}${colors.reset}`);
+      }
+      showPrompt();
+      return;
+    }
+    
+    if (input.startsWith('/load')) {
+      const name = input.substring(5).trim();
+      if (!name) {
+        const sessions = listSessions();
+        console.log(sessions.length ? `${colors.green}Saved sessions:${colors.reset} ${sessions.join(', ')}` : `${colors.yellow}No saved sessions${colors.reset}`);
+      } else if (restoreSession(name)) {
+        pendingChanges = null;
+        showFiles();
+      }
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/branch' || input.startsWith('/branch ')) {
+      const branchArgs = input.substring(7).trim().split(/\s+/).filter(Boolean);
+      const name = branchArgs.find(arg => arg !== '--worktree');
+      if (!name) {
+        console.log(taskBranch
+          ? `${colors.green}Working on branch ${taskBranch.name}, based on ${taskBranch.base}${colors.reset}`
+          : `${colors.red}Please specify a branch name${colors.reset}`);
+      } else {
+        isProcessing = true;
+        await startTaskBranch(name, WORKTREE || branchArgs.includes('--worktree'));
+        isProcessing = false;
+      }
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/merge' || input === '/discard') {
+      isProcessing = true;
+      const branch = taskBranch && taskBranch.name;
+      const done = input === '/merge' ? await mergeTaskBranch() : await discardTaskBranch();
+      if (done) {
+        conversationHistory.push({ 
+          role: 'user', 
+          content: input === '/merge' 
+            ? `I've merged branch ${branch} with your changes.` 
+            : `I've discarded branch ${branch}, all changes made on it no longer exist.` 
+        });
+      }
+      isProcessing = false;
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/cost') {
+      showCost();
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/tokens') {
+      isProcessing = true;
+      await showTokens();
+      isProcessing = false;
+      showPrompt();
+      return;
+    }
+    
+    if (input === '/undo') {
+      isProcessing = true;
+      await undoCommit();
+      isProcessing = false;
+      showPrompt();
       return;
     }
     
     if (input.startsWith('/add ')) {
-      addFile(input.substring(5).trim());
-      rl.prompt();
+      isProcessing = true;
+      await addFile(input.substring(5).trim());
+      isProcessing = false;
+      showPrompt();
+      return;
+    }
+    
+    if (input.startsWith('/read ')) {
+      isProcessing = true;
+      await addFile(input.substring(6).trim(), true);
+      isProcessing = false;
+      showPrompt();
       return;
     }
     
     if (input.startsWith('/drop ')) {
       dropFile(input.substring(6).trim());
-      rl.prompt();
+      showPrompt();
       return;
     }
     
@@ -774,7 +3718,7 @@ const startReplSession = async (initialFiles) => {
       isProcessing = true;
       await runCommand(cmd);
       isProcessing = false;
-      rl.prompt();
+      showPrompt();
       return;
     }
     
@@ -782,7 +3726,7 @@ const startReplSession = async (initialFiles) => {
       const prompt = input.substring(8).trim();
       if (!prompt) {
         console.log(`${colors.red}Please provide a prompt for the commit${colors.reset}`);
-        rl.prompt();
+        showPrompt();
         return;
       }
       
@@ -792,7 +3736,7 @@ const startReplSession = async (initialFiles) => {
     }
     
     if (input === '') {
-      rl.prompt();
+      showPrompt();
       return;
     }
     
@@ -802,13 +3746,58 @@ const startReplSession = async (initialFiles) => {
   });
   
   rl.on('close', () => {
+    autosave();
+    if (taskBranch) {
+      console.log(`${colors.yellow}Branch ${taskBranch.name} was kept${taskBranch.worktree ? ` in worktree ${taskBranch.worktree}` : ''}${colors.reset}`);
+    }
     console.log(`${colors.brightBlue}Goodbye!${colors.reset}`);
     process.exit(0);
   });
 };
 
+// Exit codes of createCommit and applyFileUpdates statuses
+const STATUS_EXIT_CODES = {
+  'committed': EXIT_CODES.success,
+  'written': EXIT_CODES.success,
+  'unchanged': EXIT_CODES.noChanges,
+  'no-changes': EXIT_CODES.noChanges,
+  'tests-failed': EXIT_CODES.testsFailed,
+  'commit-failed': EXIT_CODES.commitFailed,
+  'aborted': EXIT_CODES.aborted,
+  'cancelled': EXIT_CODES.cancelled,
+  'error': EXIT_CODES.error
+};
+
+// Get exit code of commit command, failed edits only matter when the rest succeeded
+function getCommitExitCode(status, errors) {
+  const exitCode = STATUS_EXIT_CODES[status] ?? EXIT_CODES.error;
+  return exitCode === EXIT_CODES.success && errors.length > 0 ? EXIT_CODES.editsFailed : exitCode;
+}
+
 // Process standard commands
 const processStandardCommand = async () => {
+  if (command === 'undo') {
+    const undone = await undoLastCommit();
+    process.exit(undone ? 0 : 1);
+  }
+  
+  if (command === 'config') {
+    showConfig();
+    return;
+  }
+  
+  // Files may be given as directories or glob patterns
+  files = await expandFilePatterns(files);
+  READ_ONLY_FILES = (await expandFilePatterns(READ_ONLY_FILES)).filter(file => !files.includes(file));
+  
+  if (!USE_GIT && ['repl', 'commit'].includes(command)) {
+    console.log(`${colors.gray}Not using git, files are backed up to ${path.join(DATA_DIR, HISTORY_DIR)} before they are changed${colors.reset}`);
+  }
+  
+  if (BRANCH && ['repl', 'commit'].includes(command) && !await startTaskBranch(BRANCH, WORKTREE)) {
+    process.exit(1);
+  }
+  
   if (command === 'repl') {
     await startReplSession(files);
     return;
@@ -825,16 +3814,29 @@ const processStandardCommand = async () => {
       userInput = userInput.trim();
       debug('User input received:', userInput);
       
+      // Check files before reading them, so stashed changes don't reach the LLM
+      if (command === 'commit' && !await checkDirtyFiles(files, true)) {
+        process.exit(EXIT_CODES.aborted);
+      }
+      
       // Read file contents
       let filesContent = '';
       if (files.length > 0) {
         filesContent = await readFiles(files);
       }
+      const readOnlyContent = await readFiles(READ_ONLY_FILES);
+      const repoMap = await buildRepoMap([...files, ...READ_ONLY_FILES]);
       
       // Process the command
       if (command === 'ask') {
         // Construct user message
         let userMessage = userInput;
+        if (repoMap) {
+          userMessage += `\n\nRepository map:\n${repoMap}`;
+        }
+        if (readOnlyContent) {
+          userMessage += `\n\n${READ_ONLY_HEADING}\n${readOnlyContent}`;
+        }
         if (filesContent) {
           userMessage += `\n\nCurrent files:\n${filesContent}`;
         }
@@ -843,11 +3845,36 @@ const processStandardCommand = async () => {
       } else if (command === 'commit') {
         // Construct user message for commit
         let userMessage = `Make the following changes:\n${userInput}\n\n`;
+        if (repoMap) {
+          userMessage += `Repository map:\n${repoMap}\n\n`;
+        }
+        if (readOnlyContent) {
+          userMessage += `${READ_ONLY_HEADING}\n${readOnlyContent}\n\n`;
+        }
         if (filesContent) {
           userMessage += `Current files:\n${filesContent}`;
         }
         
-        await createCommit(userMessage, userInput);
+        let { fileUpdates, messages, errors = [], status } = await createCommit(userMessage, userInput);
+        
+        // Ask for confirmation before writing reviewed changes
+        if (status === 'review') {
+          showFileUpdatesDiff(fileUpdates);
+          const answer = await askQuestion(`${colors.brightYellow}Apply and commit these changes? [y/N] ${colors.reset}`);
+          if (/^y(es)?$/i.test(answer)) {
+            const result = await applyFileUpdates(fileUpdates, userInput, messages);
+            errors = [...errors, ...result.errors];
+            status = result.status;
+          } else {
+            console.log(`${colors.yellow}Changes rejected${colors.reset}`);
+            status = 'aborted';
+          }
+        }
+        reportTurnUsage();
+        process.exitCode = getCommitExitCode(status, errors);
+        if (taskBranch && taskBranch.worktree) {
+          console.log(`${colors.yellow}Branch ${taskBranch.name} is checked out in ${taskBranch.worktree}, remove it with git worktree remove when done${colors.reset}`);
+        }
       } else {
         console.error(`Unknown command: ${command}`);
         showHelp();
@@ -856,9 +3883,36 @@ const processStandardCommand = async () => {
     } catch (error) {
       console.error('Error:', error.message);
       debug('Stack trace:', error.stack);
-      process.exit(1);
+      emitEvent('error', { message: error.message });
+      process.exit(EXIT_CODES.error);
     }
   });
 };
 
+// Check if API URL and provider are valid
+try {
+  new URL(API_URL);
+} catch (error) {
+  console.error(`Error: Invalid API URL: ${API_URL}`);
+  process.exit(1);
+}
+if (PROVIDER !== 'auto' && !PROVIDERS[PROVIDER]) {
+  console.error(`Error: Unknown provider: ${PROVIDER}. Use openai, anthropic, ollama or auto.`);
+  process.exit(1);
+}
+if (AGENT && getProvider() !== PROVIDERS.openai) {
+  console.error('Error: Agent mode needs an OpenAI-compatible API, tools are not supported by this provider.');
+  process.exit(1);
+}
+if (JSON_OUTPUT && command === 'repl') {
+  console.error('Error: JSON output is not supported in REPL, use it with ask or commit.');
+  process.exit(1);
+}
+
+// Check if API key is provided, local Ollama doesn't need one
+if (!API_KEY && !LOCAL_COMMANDS.includes(command) && getProvider() !== PROVIDERS.ollama) {
+  console.error('Error: API key is required. Set OPENROUTER_API_KEY environment variable or use --key option.');
+  process.exit(1);
+}
+
 processStandardCommand();
\ No newline at end of file
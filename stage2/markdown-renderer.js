@@ -0,0 +1,201 @@
+// Incremental markdown renderer for streamed LLM responses in the terminal. Text is
+// written as soon as it can't turn into markup any more, markup split across chunks
+// is held back until it is complete.
+
+// Languages highlighted in fenced code blocks
+const CODE_LANGUAGES = {
+  js: {
+    aliases: ['javascript', 'ts', 'typescript', 'jsx', 'tsx', 'mjs', 'cjs', 'json'],
+    comment: '//',
+    keywords: 'const let var function return if else for while do switch case break continue new class extends import export from default async await try catch finally throw typeof instanceof this null undefined true false of in'
+  },
+  python: {
+    aliases: ['py'],
+    comment: '#',
+    keywords: 'def class return if elif else for while in not and or is import from as with try except finally raise lambda None True False self pass break continue yield async await global'
+  },
+  shell: {
+    aliases: ['sh', 'bash', 'zsh', 'console'],
+    comment: '#',
+    keywords: 'if then else elif fi for do done while case esac function return export local in'
+  },
+  go: {
+    aliases: ['golang'],
+    comment: '//',
+    keywords: 'func package import return if else for range var const type struct interface map chan go defer select case switch break continue nil true false'
+  },
+  rust: {
+    aliases: ['rs'],
+    comment: '//',
+    keywords: 'fn let mut const struct enum impl trait pub use mod return if else for while loop match in ref self Self true false None Some Ok Err async await'
+  },
+  c: {
+    aliases: ['cpp', 'h', 'hpp', 'java', 'cs', 'kotlin', 'swift'],
+    comment: '//',
+    keywords: 'int char float double void long short unsigned bool struct class public private protected static final const return if else for while do switch case break continue new null true false this import package include'
+  }
+};
+
+// Find highlighting rules for language name of a code fence
+function getCodeLanguage(name) {
+  const [, language] = Object.entries(CODE_LANGUAGES).find(([key, language]) => key === name || language.aliases.includes(name)) || [];
+  if (language && !language.pattern) {
+    const comment = language.comment.replace(/[/#]/g, '\\$&');
+    language.pattern = new RegExp(`(${comment}.*$)|("(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|\\b(\\d+(?:\\.\\d+)?)\\b|\\b([A-Za-z_]\\w*)\\b`, 'g');
+    language.keywordSet = new Set(language.keywords.split(' '));
+  }
+  return language;
+}
+
+// Highlight comments, strings, numbers and keywords in a line of code
+function highlightCode(line, language, colors) {
+  if (!language) return line;
+  return line.replace(language.pattern, (match, comment, string, number, word) => {
+    if (comment) return `${colors.gray}${comment}${colors.reset}`;
+    if (string) return `${colors.green}${string}${colors.reset}`;
+    if (number) return `${colors.yellow}${number}${colors.reset}`;
+    return language.keywordSet.has(word) ? `${colors.magenta}${word}${colors.reset}` : word;
+  });
+}
+
+// Find code span starting at or after position. Returns { start, end } with positions
+// of the backticks, { start } when the line may still close it, or null.
+function findCodeSpan(text, from, complete) {
+  for (let start = text.indexOf('`', from); start !== -1; start = text.indexOf('`', start + 1)) {
+    const end = text.indexOf('`', start + 1);
+    if (end === -1) return complete ? null : { start };
+    // Empty code spans don't exist, the second backtick may start one
+    if (end > start + 1) return { start, end };
+  }
+  return null;
+}
+
+// Render inline code and bold text, code spans are left as they are. Unless the line
+// is complete, rendering stops where markup may begin, the rest is returned.
+function renderInline(text, style, complete, colors) {
+  let rendered = '';
+  let i = 0;
+  
+  while (i < text.length) {
+    const char = text[i];
+    
+    if (char === '`') {
+      const span = findCodeSpan(text, i, complete);
+      if (span && span.start === i) {
+        if (span.end === undefined) break;
+        rendered += `${colors.yellow}${text.slice(i + 1, span.end)}${colors.reset}${style}`;
+        i = span.end + 1;
+        continue;
+      }
+    }
+    
+    const marker = text.substr(i, 2);
+    if (marker === '**' || marker === '__') {
+      // Bold text can't contain code spans
+      const close = text.indexOf(marker, i + 3);
+      const span = findCodeSpan(text, i + 2, complete);
+      if (close !== -1 && (!span || close < span.start)) {
+        rendered += `${colors.bold}${text.slice(i + 2, close)}${colors.reset}${style}`;
+        i = close + 2;
+        continue;
+      }
+      if (!complete && !(span && span.end !== undefined)) break;
+    } else if (!complete && i === text.length - 1 && (char === '*' || char === '_')) {
+      break;
+    }
+    
+    rendered += char;
+    i++;
+  }
+  
+  return { rendered, rest: text.slice(i) };
+}
+
+// Line starts which may still become a code fence, heading or list item
+const UNDECIDED_LINE_START = /^(\s*(`{1,2}|~{1,2}|([-*+]|\d+[.)])\s*|\d+)?|#{1,6}\s*)$/;
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)/;
+
+// Create renderer writing markdown with colors to output. Text of headings, list
+// items, quotes and paragraphs streams as it arrives, code lines are highlighted
+// when they are complete.
+function createMarkdownRenderer(output, colors) {
+  let codeBlock = null;
+  // Text of current line not written yet, and the line once its kind is known
+  let pending = '';
+  let line = null;
+  
+  // Decide kind of the current line and write its prefix, false while unknown
+  const startLine = (complete) => {
+    if (codeBlock) {
+      line = { code: true };
+      return true;
+    }
+    if (!complete && UNDECIDED_LINE_START.test(pending)) return false;
+    
+    const heading = pending.match(/^#{1,6}\s+/);
+    const listItem = pending.match(/^(\s*)([-*+]|\d+[.)])\s+/);
+    if (FENCE.test(pending)) {
+      line = { fence: true };
+    } else if (heading) {
+      const style = `${colors.bold}${colors.brightBlue}`;
+      output.write(style);
+      pending = pending.slice(heading[0].length);
+      line = { style, end: colors.reset };
+    } else if (listItem) {
+      const bullet = /\d/.test(listItem[2]) ? listItem[2] : '•';
+      output.write(`${listItem[1]}${colors.cyan}${bullet}${colors.reset} `);
+      pending = pending.slice(listItem[0].length);
+      line = { style: '', end: '' };
+    } else if (pending.startsWith('>')) {
+      output.write(colors.gray);
+      line = { style: colors.gray, end: colors.reset };
+    } else {
+      line = { style: '', end: '' };
+    }
+    return true;
+  };
+  
+  // Write text of the current line which can't change any more
+  const flush = (complete) => {
+    if (!line && !startLine(complete)) return;
+    if (line.fence || line.code) return;
+    const { rendered, rest } = renderInline(pending, line.style, complete, colors);
+    output.write(rendered);
+    pending = rest;
+  };
+  
+  // Finish the current line, fences and code lines are written whole
+  const endLine = () => {
+    flush(true);
+    if (line.fence || (line.code && FENCE.test(pending))) {
+      const fence = pending.match(FENCE);
+      codeBlock = codeBlock ? null : { language: getCodeLanguage(fence[2].toLowerCase()) };
+      output.write(`${colors.gray}${pending}${colors.reset}`);
+    } else if (line.code) {
+      output.write(highlightCode(pending, codeBlock.language, colors));
+    } else {
+      output.write(line.end);
+    }
+    pending = '';
+    line = null;
+  };
+  
+  return {
+    write(chunk) {
+      chunk.split('\n').forEach((text, index) => {
+        if (index > 0) {
+          endLine();
+          output.write('\n');
+        }
+        pending += text;
+      });
+      flush(false);
+    },
+    end() {
+      if (line || pending) endLine();
+      codeBlock = null;
+    }
+  };
+}
+
+module.exports = { createMarkdownRenderer };
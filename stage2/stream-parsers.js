@@ -0,0 +1,96 @@
+// Incremental parsers of streamed LLM responses, they handle events and lines split
+// across chunks of the HTTP response.
+
+const { StringDecoder } = require('string_decoder');
+
+// Incremental Server-Sent Events parser. Buffers partial lines across chunks and
+// calls onEvent({ event, data }) for each complete event, multi-line data is joined with \n
+function createSSEParser(onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let eventType = '';
+  let dataLines = [];
+  
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventType || 'message', data: dataLines.join('\n') });
+    }
+    eventType = '';
+    dataLines = [];
+  };
+  
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    // Comment, used by OpenRouter as keep-alive
+    if (line.startsWith(':')) return;
+    
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    let value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value.startsWith(' ')) value = value.substring(1);
+    
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'event') {
+      eventType = value;
+    }
+  };
+  
+  const processBuffer = () => {
+    let match;
+    while ((match = buffer.match(/\r\n|\r|\n/)) !== null) {
+      // Lone \r at the end may be the first half of \r\n in the next chunk
+      if (match[0] === '\r' && match.index === buffer.length - 1) break;
+      
+      processLine(buffer.substring(0, match.index));
+      buffer = buffer.substring(match.index + match[0].length);
+    }
+  };
+  
+  return {
+    feed(chunk) {
+      buffer += decoder.write(chunk);
+      processBuffer();
+    },
+    end() {
+      buffer += decoder.end();
+      processBuffer();
+      if (buffer) processLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    }
+  };
+}
+
+// Incremental newline-delimited JSON parser, calls onEvent({ data }) for each line
+function createNDJSONParser(onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  
+  const processBuffer = (flush) => {
+    const lines = buffer.split('\n');
+    buffer = flush ? '' : lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onEvent({ data: line.trim() });
+    }
+  };
+  
+  return {
+    feed(chunk) {
+      buffer += decoder.write(chunk);
+      processBuffer(false);
+    },
+    end() {
+      buffer += decoder.end();
+      processBuffer(true);
+    }
+  };
+}
+
+module.exports = {
+  createSSEParser,
+  createNDJSONParser
+};
@@ -0,0 +1,531 @@
+// End-to-end tests running coder.js against a mock LLM server in temporary git
+// repositories. Run with: node --test stage2/test/
+// coder.js needs the debug package (npm install debug), set AI_CODER_SKIP_E2E=1
+// to skip these tests where it is not installed.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { skipReason, startMockServer, createRepo, removeRepo, git, runCoder, startRepl, stripColors } = require('./helpers');
+
+const SOURCE = 'function a() {\n  return 1;\n}\n';
+
+// SEARCH/REPLACE edit of a.js as the LLM would answer
+const EDIT_RESPONSE = [
+  'Changing the return value.',
+  '',
+  'a.js',
+  '<<<<<<< SEARCH',
+  '  return 1;',
+  '=======',
+  '  return 2;',
+  '>>>>>>> REPLACE',
+  ''
+].join('\n');
+
+// Fail instead of skipping silently, a skipped suite would look like a passing one
+if (skipReason && !process.env.AI_CODER_SKIP_E2E) {
+  throw new Error(`${skipReason}, install it with npm install debug or set AI_CODER_SKIP_E2E=1 to skip the end-to-end tests`);
+}
+
+describe('ai-coder', { skip: skipReason }, () => {
+  let server;
+  let dir;
+  
+  afterEach(async () => {
+    if (server) await server.close();
+    if (dir) removeRepo(dir);
+    server = null;
+    dir = null;
+  });
+  
+  describe('ask', () => {
+    it('streams the answer and sends the files as context', async () => {
+      server = await startMockServer([{ content: 'It returns **one**.' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['ask', 'a.js'], { cwd: dir, input: 'What does a return?' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      // Output is not a terminal, so markdown stays raw
+      assert.match(result.stdout, /It returns \*\*one\*\*\./);
+      assert.strictEqual(server.requests.length, 1);
+      assert.strictEqual(server.requests[0].stream, true);
+      const userMessage = server.requests[0].messages.find(message => message.role === 'user').content;
+      assert.match(userMessage, /What does a return\?/);
+      assert.match(userMessage, /return 1;/);
+    });
+    
+    it('exits with error when the request fails', async () => {
+      server = await startMockServer([{ status: 500 }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['ask', 'a.js'], { cwd: dir, input: 'Hi' });
+      
+      assert.strictEqual(result.code, 1);
+      assert.match(result.stderr, /status 500/);
+    });
+  });
+  
+  describe('agent', () => {
+    // SSE stream of one tool call by the LLM
+    const toolCall = (name, args) => [
+      `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name, arguments: JSON.stringify(args) } }] } }] })}\n\n`,
+      'data: [DONE]\n\n'
+    ];
+    
+    it('does not read files outside of the repository through symlinks', async () => {
+      const outside = createRepo({ 'secret.txt': 'top secret\n' }, { init: false });
+      server = await startMockServer([{ chunks: toolCall('read_file', { path: 'linkdir/secret.txt' }) }, { content: 'Done' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      fs.symlinkSync(outside, path.join(dir, 'linkdir'));
+      
+      const result = await runCoder(server, ['-a', 'ask'], { cwd: dir, input: 'Read the secret' });
+      removeRepo(outside);
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      const toolResult = server.requests[1].messages.find(message => message.role === 'tool').content;
+      assert.match(toolResult, /Path is outside of the project/);
+      assert.doesNotMatch(toolResult, /top secret/);
+    });
+  });
+  
+  describe('streaming', () => {
+    // SSE event with OpenAI-style content delta
+    const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\r\n\r\n`;
+    
+    it('shows fragmented streams completely and stops at [DONE]', async () => {
+      const stream = Buffer.from(`: OPENROUTER PROCESSING\r\n\r\n${delta('Zürich ')}${delta('日本')}data: [DONE]\r\n\r\n${delta('after done')}`);
+      // Split into 3 byte chunks, cutting lines, \r\n and multibyte characters
+      const chunks = [];
+      for (let i = 0; i < stream.length; i += 3) {
+        chunks.push(stream.subarray(i, i + 3));
+      }
+      server = await startMockServer([{ chunks }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['ask'], { cwd: dir, input: 'Hi' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Zürich 日本/);
+      assert.doesNotMatch(result.stdout, /after done/);
+    });
+    
+    it('fails on error payload in the stream', async () => {
+      const error = `data: ${JSON.stringify({ error: { message: 'Provider returned error', code: 502 } })}\n\n`;
+      server = await startMockServer([{ chunks: [delta('Partial'), error.substring(0, 20), error.substring(20)] }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['ask'], { cwd: dir, input: 'Hi' });
+      
+      assert.strictEqual(result.code, 1);
+      assert.match(result.stdout, /Partial/);
+      assert.match(result.stderr, /API error: Provider returned error/);
+    });
+    
+    it('retries a stalled stream once per timeout', async () => {
+      server = await startMockServer([{ stall: true }, { content: 'Recovered' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['--idle-timeout', '1', '--retries', '3', 'ask'], { cwd: dir, input: 'Hi' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Recovered/);
+      assert.strictEqual(server.requests.length, 2);
+      assert.strictEqual(result.stderr.match(/Retrying in/g).length, 1);
+    });
+  });
+  
+  describe('config', () => {
+    const projectConfig = (server) => JSON.stringify({
+      apiUrl: server.url.replace('127.0.0.1', 'localhost'),
+      testCommand: 'touch TESTS-RAN',
+      autoConfirm: true,
+      commitStyle: 'conventional'
+    });
+    
+    it('ignores sensitive settings in project config of untrusted projects', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }]);
+      dir = createRepo({ 'a.js': SOURCE, '.ai-coder.json': projectConfig(server) });
+      
+      const config = await runCoder(server, ['config'], { cwd: dir });
+      assert.match(config.stderr, /Ignoring apiUrl, testCommand, autoConfirm in \.ai-coder\.json/);
+      assert.match(stripColors(config.stdout), /apiUrl\s+"http:\/\/127\.0\.0\.1:\d+\/v1\/chat\/completions"\s+\(command line\)/);
+      assert.match(stripColors(config.stdout), /autoConfirm\s+false\s+\(default\)/);
+      assert.match(stripColors(config.stdout), /commitStyle\s+"conventional"\s+\(\.ai-coder\.json\)/);
+      
+      const result = await runCoder(server, ['commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok(!fs.existsSync(path.join(dir, 'TESTS-RAN')));
+    });
+    
+    it('applies all project settings in trusted projects', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }]);
+      dir = createRepo({ 'a.js': SOURCE, '.ai-coder.json': projectConfig(server) });
+      fs.mkdirSync(path.join(dir, '.config-home', 'ai-coder'), { recursive: true });
+      fs.writeFileSync(path.join(dir, '.config-home', 'ai-coder', 'config.json'), JSON.stringify({ trustedProjects: [dir] }));
+      
+      const result = await runCoder(server, ['commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.doesNotMatch(result.stderr, /Ignoring/);
+      assert.ok(fs.existsSync(path.join(dir, 'TESTS-RAN')));
+    });
+  });
+  
+  describe('providers', () => {
+    it('uses OpenAI-compatible API for OpenRouter URLs under /api/', async () => {
+      server = await startMockServer([{ content: 'From OpenRouter' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      // Same path as the default https://openrouter.ai/api/v1/chat/completions
+      const url = server.url.replace('/v1/', '/api/v1/');
+      
+      const result = await runCoder(server, ['-u', url, 'ask'], { cwd: dir, input: 'Hi' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /From OpenRouter/);
+      assert.strictEqual(server.requests[0].stream_options.include_usage, true);
+    });
+    
+    it('uses Ollama API for /api/chat', async () => {
+      const lines = [
+        { message: { content: 'From ' }, done: false },
+        { message: { content: 'Ollama' }, done: false },
+        { message: { content: '' }, done: true, prompt_eval_count: 5, eval_count: 2 }
+      ];
+      server = await startMockServer([{ chunks: lines.map(line => `${JSON.stringify(line)}\n`) }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      const url = server.url.replace('/v1/chat/completions', '/api/chat');
+      
+      const result = await runCoder(server, ['-u', url, 'ask'], { cwd: dir, input: 'Hi' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /From Ollama/);
+      assert.strictEqual(server.requests[0].stream_options, undefined);
+    });
+    
+    it('asks Anthropic API for as many tokens as the model allows', async () => {
+      const events = [
+        { type: 'content_block_delta', delta: { text: 'From Claude' } },
+        { type: 'message_stop' }
+      ];
+      const response = { chunks: events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`) };
+      server = await startMockServer([response, response, response]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      for (const [args, maxTokens] of [
+        [['-m', 'claude-3-haiku-20240307'], 4096],
+        [['-m', 'claude-sonnet-4-20250514'], 8192],
+        [['-m', 'claude-3-opus-20240229', '--max-output-tokens', '1000'], 1000]
+      ]) {
+        const result = await runCoder(server, ['-p', 'anthropic', ...args, 'ask'], { cwd: dir, input: 'Hi' });
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.match(result.stdout, /From Claude/);
+        assert.strictEqual(server.requests.at(-1).max_tokens, maxTokens);
+      }
+    });
+  });
+  
+  describe('commit', () => {
+    it('applies edits and commits them with generated message', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }]);
+      dir = createRepo({ 'a.js': SOURCE, 'b.js': 'b\n' });
+      fs.writeFileSync(path.join(dir, 'b.js'), 'staged\n');
+      git(dir, 'add', 'b.js');
+      
+      const result = await runCoder(server, ['commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), 'function a() {\n  return 2;\n}\n');
+      assert.strictEqual(git(dir, 'log', '-1', '--format=%s'), 'Return two from a');
+      const message = git(dir, 'log', '-1', '--format=%B');
+      assert.match(message, /Original prompt:\s+Return 2/);
+      assert.match(message, /Generated-by: ai-coder$/);
+      // Only the edited file is committed, staged changes stay staged
+      assert.strictEqual(git(dir, 'show', '--name-only', '--format=', 'HEAD'), 'a.js');
+      assert.strictEqual(git(dir, 'diff', '--cached', '--name-only'), 'b.js');
+    });
+    
+    it('never passes file names from the LLM through a shell', async () => {
+      const filename = 'x$(touch PWNED).js';
+      const response = `${filename}\n<<<<<<< SEARCH\n=======\nmodule.exports = 1;\n>>>>>>> REPLACE\n`;
+      server = await startMockServer([{ content: response }, { content: 'Add module' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['-y', 'commit'], { cwd: dir, input: 'Add a module' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok(!fs.existsSync(path.join(dir, 'PWNED')), 'command in file name was run');
+      assert.strictEqual(git(dir, 'show', '--name-only', '--format=', 'HEAD'), filename);
+      
+      const undo = await runCoder(server, ['undo'], { cwd: dir });
+      assert.strictEqual(undo.code, 0, undo.stderr);
+      assert.ok(!fs.existsSync(path.join(dir, 'PWNED')), 'command in file name was run');
+    });
+    
+    it('refuses to write protected paths in any letter case', async () => {
+      const response = ['.GIT/hooks/pre-commit', 'sub/.Git/x'].map(file => `${file}\n<<<<<<< SEARCH\n=======\nexit 0\n>>>>>>> REPLACE\n`).join('\n');
+      server = await startMockServer([{ content: response }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['-y', 'commit'], { cwd: dir, input: 'Add hook' });
+      
+      assert.strictEqual(result.code, 2, result.stderr);
+      assert.match(result.stderr, /\.GIT\/hooks\/pre-commit: Path is protected \(\.git\)/);
+      assert.match(result.stderr, /sub\/\.Git\/x: Path is protected \(\.git\)/);
+      assert.ok(!fs.existsSync(path.join(dir, '.git', 'hooks', 'pre-commit')));
+      assert.ok(!fs.existsSync(path.join(dir, 'sub')));
+    });
+    
+    it('asks the LLM to fix failing tests and commits once they pass', async () => {
+      const fix = 'a.js\n<<<<<<< SEARCH\n  return 2;\n=======\n  return 3;\n>>>>>>> REPLACE\n';
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: fix }, { content: 'Return three from a' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['-t', 'grep "return 3" a.js', 'commit', 'a.js'], { cwd: dir, input: 'Return 3' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Tests failed, the command exited with code 1[\s\S]*Tests passed/);
+      assert.match(server.requests[1].messages.at(-1).content, /`grep "return 3" a\.js` exited with code 1 after your changes/);
+      assert.strictEqual(git(dir, 'rev-list', '--count', 'HEAD'), '2');
+      assert.match(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), /return 3;/);
+    });
+    
+    it('passes tests with large output and stops hanging tests', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }, { content: EDIT_RESPONSE }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const large = await runCoder(server, ['-t', 'head -c 2000000 /dev/zero | tr "\\0" x', 'commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      assert.strictEqual(large.code, 0, large.stderr);
+      assert.match(large.stdout, /Tests passed/);
+      
+      git(dir, 'reset', '-q', '--hard', 'HEAD~1');
+      const hanging = await runCoder(server, ['-t', 'sleep 30', '--run-timeout', '1', '--fix-attempts', '0', 'commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      assert.strictEqual(hanging.code, 4);
+      assert.match(hanging.stdout, /killed after 1s timeout/);
+    });
+    
+    it('leaves files with failing diff hunks unchanged', async () => {
+      const response = [
+        '```diff',
+        '--- a/a.js',
+        '+++ b/a.js',
+        '@@ -1,3 +1,3 @@',
+        ' function a() {',
+        '-  return 1;',
+        '+  return 2;',
+        ' }',
+        '@@ -10,2 +10,2 @@',
+        ' function missing() {',
+        '-  return 0;',
+        '+  return 9;',
+        '--- a/b.js',
+        '+++ b/b.js',
+        '@@ -1 +1 @@',
+        '-b',
+        '+bb',
+        '```',
+        ''
+      ].join('\n');
+      server = await startMockServer([{ content: response }, { content: 'Change b' }]);
+      dir = createRepo({ 'a.js': SOURCE, 'b.js': 'b\n' });
+      
+      const result = await runCoder(server, ['-e', 'udiff', 'commit', 'a.js', 'b.js'], { cwd: dir, input: 'Change files' });
+      
+      assert.strictEqual(result.code, 3, result.stderr);
+      assert.match(result.stderr, /a\.js: Hunk @@ -10,2 \+10,2 @@ does not match the file, no changes were made to the file/);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), SOURCE);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'b.js'), 'utf8'), 'bb\n');
+      assert.strictEqual(git(dir, 'show', '--name-only', '--format=', 'HEAD'), 'b.js');
+    });
+    
+    it('does not create files over existing ones from diffs', async () => {
+      const response = ['```diff', '--- /dev/null', '+++ b/b.js', '@@ -0,0 +1 @@', '+brand new', '```', ''].join('\n');
+      server = await startMockServer([{ content: response }]);
+      dir = createRepo({ 'b.js': 'old\n' });
+      
+      const result = await runCoder(server, ['-e', 'udiff', 'commit', 'b.js'], { cwd: dir, input: 'Create b' });
+      
+      assert.strictEqual(result.code, 2, result.stderr);
+      assert.match(result.stderr, /b\.js: File already exists/);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'b.js'), 'utf8'), 'old\n');
+      assert.strictEqual(git(dir, 'rev-list', '--count', 'HEAD'), '1');
+    });
+    
+    it('rejects SEARCH text matching several places', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }]);
+      const source = `${SOURCE}\nfunction b() {\n  return 1;\n}\n`;
+      dir = createRepo({ 'a.js': source });
+      
+      const result = await runCoder(server, ['commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      
+      assert.strictEqual(result.code, 2, result.stderr);
+      assert.match(result.stderr, /a\.js: SEARCH text matches 2 places in the file \(lines 2, 6\)/);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), source);
+      assert.strictEqual(git(dir, 'rev-list', '--count', 'HEAD'), '1');
+    });
+    
+    it('exits with code 2 when the response has no edits', async () => {
+      server = await startMockServer([{ content: 'I am not sure what to change.' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['commit', 'a.js'], { cwd: dir, input: 'Do something' });
+      
+      assert.strictEqual(result.code, 2);
+      assert.match(result.stderr, /No valid file updates/);
+      assert.strictEqual(git(dir, 'rev-list', '--count', 'HEAD'), '1');
+    });
+    
+    it('prints JSON events with --json', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      
+      const result = await runCoder(server, ['--json', 'commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      const events = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+      const deltas = events.filter(event => event.type === 'delta').map(event => event.text).join('');
+      assert.strictEqual(deltas, EDIT_RESPONSE);
+      assert.deepStrictEqual(events.find(event => event.type === 'file_written'), { type: 'file_written', file: 'a.js', action: 'updated' });
+      assert.strictEqual(events.find(event => event.type === 'commit').sha, git(dir, 'rev-parse', 'HEAD'));
+      assert.ok(events.some(event => event.type === 'usage'));
+      assert.match(result.stderr, /Updated a\.js/);
+    });
+    
+    it('backs up files outside of git and undoes from the backup', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }]);
+      dir = createRepo({ 'a.js': SOURCE }, { init: false });
+      
+      const result = await runCoder(server, ['commit', 'a.js'], { cwd: dir, input: 'Return 2' });
+      
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), /return 2;/);
+      assert.match(fs.readFileSync(path.join(dir, '.ai-coder', 'history', 'changelog.md'), 'utf8'), /a\.js/);
+      
+      const undo = await runCoder(server, ['undo'], { cwd: dir });
+      assert.strictEqual(undo.code, 0, undo.stderr);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), SOURCE);
+    });
+  });
+  
+  describe('repl', () => {
+    let repl;
+    
+    beforeEach(() => {
+      repl = null;
+    });
+    
+    afterEach(async () => {
+      if (repl) await repl.close();
+    });
+    
+    it('manages files in context', async () => {
+      server = await startMockServer();
+      dir = createRepo({ 'src/a.js': SOURCE, 'src/b.js': 'b\n', 'docs.md': 'docs\n' });
+      repl = startRepl(server, [], { cwd: dir });
+      
+      assert.match(await repl.send('/add src/'), /Added src\/a\.js to context[\s\S]*Added src\/b\.js to context/);
+      assert.match(await repl.send('/read docs.md'), /Added docs\.md as read-only/);
+      assert.match(await repl.send('/files'), /1\. src\/a\.js\s+2\. src\/b\.js\s+Read-only files:\s+3\. docs\.md/);
+      assert.match(await repl.send('/drop 2'), /Removed src\/b\.js from context/);
+      assert.doesNotMatch(await repl.send('/files'), /src\/b\.js/);
+    });
+    
+    it('keeps the conversation between messages', async () => {
+      server = await startMockServer([{ content: 'First answer' }, { content: 'Second answer' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      repl = startRepl(server, ['a.js'], { cwd: dir });
+      
+      assert.match(await repl.send('First question'), /First answer/);
+      assert.match(await repl.send('Second question'), /Second answer/);
+      
+      const contents = server.requests[1].messages.map(message => message.content).join('\n');
+      assert.match(contents, /First question[\s\S]*First answer[\s\S]*Second question/);
+    });
+    
+    it('resumes the last session with messages', async () => {
+      server = await startMockServer([{ content: 'First answer' }, { content: 'Second answer' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      repl = startRepl(server, ['a.js'], { cwd: dir });
+      await repl.send('First question');
+      await repl.close();
+      
+      // A run without messages must not replace the session to resume
+      repl = startRepl(server, [], { cwd: dir });
+      await repl.send('/files');
+      await repl.close();
+      
+      repl = startRepl(server, ['--resume'], { cwd: dir });
+      assert.match(await repl.send('/files'), /1\. a\.js/);
+      assert.match(await repl.send('Second question'), /Second answer/);
+      const contents = server.requests[1].messages.map(message => message.content).join('\n');
+      assert.match(contents, /First question[\s\S]*First answer[\s\S]*Second question/);
+      
+      // The resumed session is saved again instead of starting a new one
+      await repl.close();
+      repl = null;
+      const sessions = fs.readdirSync(path.join(dir, '.ai-coder', 'sessions')).filter(file => file.endsWith('.json'));
+      assert.strictEqual(sessions.length, 1);
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, '.ai-coder', 'sessions', sessions[0]), 'utf8')).conversationHistory.length, 4);
+    });
+    
+    it('commits changes and undoes the commit', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      repl = startRepl(server, ['a.js'], { cwd: dir });
+      
+      assert.match(await repl.send('/commit Return 2'), /Git commit created successfully/);
+      assert.strictEqual(git(dir, 'log', '-1', '--format=%s'), 'Return two from a');
+      
+      assert.match(await repl.send('/undo'), /Undid commit/i);
+      assert.strictEqual(git(dir, 'rev-list', '--count', 'HEAD'), '1');
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), SOURCE);
+    });
+    
+    it('merges task branch commits and keeps uncommitted work', async () => {
+      server = await startMockServer([{ content: EDIT_RESPONSE }, { content: 'Return two from a' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      repl = startRepl(server, ['a.js'], { cwd: dir });
+      
+      const started = await repl.send('/branch task1 --worktree');
+      const worktree = started.match(/in worktree (\S+)/)[1];
+      await repl.send('/commit Return 2');
+      await repl.send('/run echo notes > notes.txt', [[/Add output to the conversation\?/, 'n']]);
+      
+      assert.match(await repl.send('/merge'), /uncommitted changes[\s\S]*notes\.txt/);
+      assert.ok(fs.existsSync(path.join(worktree, 'notes.txt')));
+      assert.strictEqual(git(dir, 'rev-list', '--count', 'main'), '1');
+      
+      await repl.send('/run rm notes.txt', [[/Add output to the conversation\?/, 'n']]);
+      assert.match(await repl.send('/merge'), /Merged task1 into main/);
+      assert.strictEqual(git(dir, 'log', '-1', '--format=%s', 'main'), 'Return two from a');
+      assert.ok(!fs.existsSync(worktree));
+    });
+    
+    it('discards task branch with uncommitted work after confirmation', async () => {
+      server = await startMockServer();
+      dir = createRepo({ 'a.js': SOURCE });
+      repl = startRepl(server, [], { cwd: dir });
+      
+      await repl.send('/branch task2 --worktree');
+      await repl.send('/run echo notes > notes.txt', [[/Add output to the conversation\?/, 'n']]);
+      
+      assert.match(await repl.send('/discard', [[/Discard branch task2 .*uncommitted changes\?/, 'y']]), /Discarded branch task2/);
+      assert.strictEqual(git(dir, 'branch', '--list', 'task2'), '');
+    });
+    
+    it('adds /run output to the conversation', async () => {
+      server = await startMockServer([{ content: 'Saw it' }]);
+      dir = createRepo({ 'a.js': SOURCE });
+      repl = startRepl(server, [], { cwd: dir });
+      
+      const output = await repl.send('/run echo run-output', [[/Add output to the conversation\?/, 'y']]);
+      assert.match(output, /run-output/);
+      await repl.send('What happened?');
+      
+      const contents = stripColors(server.requests[0].messages.map(message => message.content).join('\n'));
+      assert.match(contents, /echo run-output[\s\S]*exited with code 0[\s\S]*run-output/);
+    });
+  });
+});
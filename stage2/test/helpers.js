@@ -0,0 +1,220 @@
+// Helpers for end-to-end tests: a mock OpenAI-compatible server replaying scripted
+// responses, temporary git repositories and runs of coder.js as a child process.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync, spawn } = require('child_process');
+
+const CODER = path.join(__dirname, '..', 'coder.js');
+
+// coder.js needs the debug package, end-to-end tests can't run without it
+let skipReason = false;
+try {
+  require.resolve('debug', { paths: [path.dirname(CODER)] });
+} catch (error) {
+  skipReason = 'debug package is not installed';
+}
+
+// Split text into pieces of given size, to stream it in several events
+function splitText(text, size) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += size) {
+    pieces.push(text.substring(i, i + size));
+  }
+  return pieces;
+}
+
+// Start mock server answering requests with scripted responses in order:
+// - { content } is streamed as SSE deltas, or returned as JSON for non-streaming requests
+// - { chunks } writes raw strings or buffers one by one, for testing stream parsing
+// - { status } fails the request with this HTTP status
+// - { stall } sends response headers and then nothing
+// Received request bodies are collected in requests.
+function startMockServer(responses = []) {
+  const queue = [...responses];
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', async () => {
+      const request = JSON.parse(body || '{}');
+      requests.push(request);
+      const response = queue.shift();
+      
+      if (!response || response.status) {
+        res.writeHead(response ? response.status : 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: response ? 'mock error' : 'no scripted response' } }));
+        return;
+      }
+      
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          choices: [{ message: { content: response.content } }],
+          usage: { prompt_tokens: 10, completion_tokens: 5 }
+        }));
+        return;
+      }
+      
+      if (response.stall) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.flushHeaders();
+        return;
+      }
+      
+      const chunks = response.chunks || [
+        ...splitText(response.content, 5).map(piece => `data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`),
+        `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 100, completion_tokens: 20 } })}\n\n`,
+        'data: [DONE]\n\n'
+      ];
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const chunk of chunks) {
+        res.write(chunk);
+        // Give each chunk its own TCP packet
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      res.end();
+    });
+  });
+  
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+        requests,
+        queue,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Create temporary directory with given files, committed to a new git repository
+// unless init is false
+function createRepo(files = {}, { init = true } = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-coder-test-')));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  if (init) {
+    git(dir, 'init', '-q', '-b', 'main');
+    git(dir, 'config', 'user.email', 'test@example.com');
+    git(dir, 'config', 'user.name', 'Test');
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '-q', '-m', 'Initial commit');
+  }
+  return dir;
+}
+
+function removeRepo(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Run git in directory, returns its trimmed output
+function git(dir, ...args) {
+  return execFileSync('git', args, { cwd: dir, encoding: 'utf8' }).trim();
+}
+
+// Environment for coder.js without user settings and API keys of the developer
+function coderEnv(dir, env = {}) {
+  const clean = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^(AI_CODER_|OPENROUTER_|DEBUG$)/.test(name)));
+  return { ...clean, XDG_CONFIG_HOME: path.join(dir, '.config-home'), ...env };
+}
+
+// Start coder.js with mock server URL, the returned child collects stdout and stderr
+function startCoder(server, args, { cwd, env } = {}) {
+  const child = spawn(process.execPath, [CODER, '-k', 'test-key', '-u', server.url, '--retries', '0', ...args], {
+    cwd,
+    env: coderEnv(cwd, env),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  child.stdout.setEncoding('utf8');
+  child.stderr.setEncoding('utf8');
+  child.output = { stdout: '', stderr: '' };
+  child.stdout.on('data', data => child.output.stdout += data);
+  child.stderr.on('data', data => child.output.stderr += data);
+  child.exited = new Promise((resolve) => {
+    child.on('close', code => resolve({ code, ...child.output }));
+  });
+  return child;
+}
+
+// Run coder.js command with input on stdin, resolves with exit code and output
+async function runCoder(server, args, { cwd, input = '', env, timeout = 20000 } = {}) {
+  const child = startCoder(server, args, { cwd, env });
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+  child.stdin.end(input);
+  const result = await child.exited;
+  clearTimeout(timer);
+  return result;
+}
+
+// Remove ANSI color codes from output
+function stripColors(text) {
+  return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+// Start REPL. send() writes one line and waits until the prompt is shown again,
+// answers are written when output matches their question.
+function startRepl(server, args, { cwd, env, timeout = 20000 } = {}) {
+  const child = startCoder(server, ['repl', ...args], { cwd, env });
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+  const countPrompts = () => child.output.stdout.split('ai-coder>').length - 1;
+  
+  // Resolve when check() is true for the output
+  const waitForOutput = (check) => new Promise((resolve, reject) => {
+    const onData = () => {
+      if (check(child.output.stdout)) {
+        child.stdout.removeListener('data', onData);
+        child.removeListener('close', onClose);
+        resolve();
+      }
+    };
+    const onClose = () => reject(new Error(`REPL exited while waiting for output:\n${child.output.stdout}${child.output.stderr}`));
+    child.stdout.on('data', onData);
+    child.once('close', onClose);
+    onData();
+  });
+  
+  let ready = waitForOutput(() => countPrompts() >= 1);
+  return {
+    child,
+    // Send line and resolve with output it produced, stderr follows stdout
+    async send(line, answers = []) {
+      await ready;
+      const start = child.output.stdout.length;
+      const errorStart = child.output.stderr.length;
+      const count = countPrompts();
+      child.stdin.write(`${line}\n`);
+      for (const [question, answer] of answers) {
+        await waitForOutput(output => question.test(stripColors(output.substring(start))));
+        child.stdin.write(`${answer}\n`);
+      }
+      ready = waitForOutput(() => countPrompts() > count);
+      await ready;
+      return stripColors(child.output.stdout.substring(start) + child.output.stderr.substring(errorStart));
+    },
+    async close() {
+      await ready.catch(() => {});
+      child.stdin.end();
+      const result = await child.exited;
+      clearTimeout(timer);
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  skipReason,
+  startMockServer,
+  createRepo,
+  removeRepo,
+  git,
+  runCoder,
+  startRepl,
+  stripColors
+};
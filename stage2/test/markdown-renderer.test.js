@@ -0,0 +1,116 @@
+// Tests of the streaming markdown renderer with responses split at awkward places
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createMarkdownRenderer } = require('../markdown-renderer');
+
+// Readable stand-ins for terminal colors
+const colors = {
+  reset: '</>',
+  bold: '<b>',
+  brightBlue: '<blue>',
+  cyan: '<cyan>',
+  gray: '<gray>',
+  green: '<green>',
+  yellow: '<yellow>',
+  magenta: '<magenta>'
+};
+
+// Create renderer collecting its output
+function createRenderer() {
+  const output = { text: '', write(text) { this.text += text; } };
+  return { renderer: createMarkdownRenderer(output, colors), output };
+}
+
+// Render chunks and return the output
+function render(chunks) {
+  const { renderer, output } = createRenderer();
+  for (const chunk of chunks) {
+    renderer.write(chunk);
+  }
+  renderer.end();
+  return output.text;
+}
+
+// Split text into chunks of every size from 1 to its length, the result must not depend on it
+function allSplits(text) {
+  const splits = [];
+  for (let size = 1; size <= text.length; size++) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+      chunks.push(text.substring(i, i + size));
+    }
+    splits.push(chunks);
+  }
+  return splits;
+}
+
+describe('createMarkdownRenderer', () => {
+  it('renders headings, lists, quotes and inline markup', () => {
+    const text = '# Use `x`\n- one **two**\n2. __three__\n> note\nplain ``a`` b\n';
+    assert.strictEqual(render([text]), [
+      '<b><blue>Use <yellow>x</><b><blue></>',
+      '<cyan>•</> one <b>two</>',
+      '<cyan>2.</> <b>three</>',
+      '<gray>> note</>',
+      'plain `<yellow>a</>` b',
+      ''
+    ].join('\n'));
+  });
+  
+  it('highlights code blocks and leaves markup in them alone', () => {
+    const text = '```js\nconst a = "**x**"; // `y`\n```\n';
+    assert.strictEqual(render([text]), [
+      '<gray>```js</>',
+      '<magenta>const</> a = <green>"**x**"</>; <gray>// `y`</>',
+      '<gray>```</>',
+      ''
+    ].join('\n'));
+  });
+  
+  it('leaves unclosed markup as it is', () => {
+    assert.strictEqual(render(['**open `tick\n** a `b` c**\n']), '**open `tick\n** a <yellow>b</> c**\n');
+  });
+  
+  it('gives the same output however the stream is split', () => {
+    const text = '## Steps\n\n1. Run `npm test` **now**\n   - nested __item__\n> **quoted** `code`\n\n```python\ndef f(): return 1  # done\n```\nend ``` of **text';
+    const expected = render([text]);
+    for (const chunks of allSplits(text)) {
+      assert.strictEqual(render(chunks), expected, `chunk size ${chunks[0].length}`);
+    }
+  });
+  
+  it('writes plain text before the line ends', () => {
+    const { renderer, output } = createRenderer();
+    renderer.write('A long paragraph');
+    assert.strictEqual(output.text, 'A long paragraph');
+    renderer.write(' goes on');
+    assert.strictEqual(output.text, 'A long paragraph goes on');
+  });
+  
+  it('holds back markup until it is complete', () => {
+    const { renderer, output } = createRenderer();
+    renderer.write('Some **bo');
+    assert.strictEqual(output.text, 'Some ');
+    renderer.write('ld** and `co');
+    assert.strictEqual(output.text, 'Some <b>bold</> and ');
+    renderer.write('de` *');
+    assert.strictEqual(output.text, 'Some <b>bold</> and <yellow>code</> ');
+    renderer.write('x');
+    assert.strictEqual(output.text, 'Some <b>bold</> and <yellow>code</> *x');
+  });
+  
+  it('holds back line starts until the kind of line is known', () => {
+    const { renderer, output } = createRenderer();
+    renderer.write('12');
+    assert.strictEqual(output.text, '');
+    renderer.write('. ');
+    assert.strictEqual(output.text, '');
+    renderer.write('item');
+    assert.strictEqual(output.text, '<cyan>12.</> item');
+    renderer.write('\n#');
+    assert.strictEqual(output.text, '<cyan>12.</> item\n');
+    renderer.write('#x');
+    assert.strictEqual(output.text, '<cyan>12.</> item\n##x');
+  });
+});
@@ -0,0 +1,113 @@
+// Tests of stream parsers with responses split at awkward places
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createSSEParser, createNDJSONParser } = require('../stream-parsers');
+
+// Feed chunks to parser and return the events it emitted
+function parse(createParser, chunks) {
+  const events = [];
+  const parser = createParser(event => events.push(event));
+  for (const chunk of chunks) {
+    parser.feed(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  parser.end();
+  return events;
+}
+
+// Split text into chunks of every size from 1 to its length, the result must not depend on it
+function allSplits(text) {
+  const buffer = Buffer.from(text);
+  const splits = [];
+  for (let size = 1; size <= buffer.length; size++) {
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += size) {
+      chunks.push(buffer.subarray(i, i + size));
+    }
+    splits.push(chunks);
+  }
+  return splits;
+}
+
+describe('createSSEParser', () => {
+  it('joins lines split across chunks', () => {
+    const events = parse(createSSEParser, ['da', 'ta: {"a"', ':1}\n', '\ndata: [DO', 'NE]\n\n']);
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: '{"a":1}' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+  
+  it('gives the same events however the stream is split', () => {
+    const stream = 'event: content_block_delta\ndata: {"text":"héllo ✓"}\n\n: keep-alive\n\ndata: line 1\ndata: line 2\n\ndata: [DONE]\n\n';
+    const expected = [
+      { event: 'content_block_delta', data: '{"text":"héllo ✓"}' },
+      { event: 'message', data: 'line 1\nline 2' },
+      { event: 'message', data: '[DONE]' }
+    ];
+    for (const chunks of allSplits(stream)) {
+      assert.deepStrictEqual(parse(createSSEParser, chunks), expected, `chunk size ${chunks[0].length}`);
+    }
+  });
+  
+  it('handles \\r\\n split between chunks', () => {
+    const events = parse(createSSEParser, ['data: a\r', '\n\r', '\ndata: b\r\n\r\n']);
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: 'a' },
+      { event: 'message', data: 'b' }
+    ]);
+  });
+  
+  it('handles lone \\r line endings', () => {
+    assert.deepStrictEqual(parse(createSSEParser, ['data: a\r\rdata: b\r\r']), [
+      { event: 'message', data: 'a' },
+      { event: 'message', data: 'b' }
+    ]);
+  });
+  
+  it('decodes multibyte characters split between chunks', () => {
+    const bytes = Buffer.from('data: 日本\n\n');
+    // Split inside the first character, which takes three bytes
+    const events = parse(createSSEParser, [bytes.subarray(0, 7), bytes.subarray(7, 9), bytes.subarray(9)]);
+    assert.deepStrictEqual(events, [{ event: 'message', data: '日本' }]);
+  });
+  
+  it('ignores comments and events without data', () => {
+    const events = parse(createSSEParser, [': OPENROUTER PROCESSING\n\nevent: ping\n\n:\n\ndata: x\n\n']);
+    assert.deepStrictEqual(events, [{ event: 'message', data: 'x' }]);
+  });
+  
+  it('keeps only one leading space of values', () => {
+    assert.deepStrictEqual(parse(createSSEParser, ['data:x\ndata:  y\n\n']), [{ event: 'message', data: 'x\n y' }]);
+  });
+  
+  it('passes error payloads through as data', () => {
+    const error = JSON.stringify({ error: { message: 'Provider returned error', code: 502 } });
+    const events = parse(createSSEParser, [`data: ${error.substring(0, 10)}`, `${error.substring(10)}\n\n`]);
+    assert.deepStrictEqual(events, [{ event: 'message', data: error }]);
+  });
+  
+  it('dispatches the last event when the stream ends without blank line', () => {
+    assert.deepStrictEqual(parse(createSSEParser, ['data: last']), [{ event: 'message', data: 'last' }]);
+  });
+});
+
+describe('createNDJSONParser', () => {
+  it('gives the same lines however the stream is split', () => {
+    const stream = '{"message":{"content":"héllo"}}\n\n{"message":{"content":"✓"},"done":true}\n';
+    const expected = [
+      { data: '{"message":{"content":"héllo"}}' },
+      { data: '{"message":{"content":"✓"},"done":true}' }
+    ];
+    for (const chunks of allSplits(stream)) {
+      assert.deepStrictEqual(parse(createNDJSONParser, chunks), expected, `chunk size ${chunks[0].length}`);
+    }
+  });
+  
+  it('handles \\r\\n line endings and a last line without newline', () => {
+    assert.deepStrictEqual(parse(createNDJSONParser, ['{"a":1}\r', '\n{"b"', ':2}']), [
+      { data: '{"a":1}' },
+      { data: '{"b":2}' }
+    ]);
+  });
+});